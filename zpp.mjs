@@ -9,17 +9,39 @@
  *   - Read/write individual attributes
  *   - Batch read from a comma-separated list
  *   - Bulk write multiple attributes in one go
+ *   - Send raw cluster-specific commands (any cluster, direction, manufacturer code)
  *   - Endpoint selection (any valid endpoint on the device)
+ *   - Runtime cluster and manufacturer code selection
  *   - Range scan (e.g. "0515-0530") to sweep unknown attributes
+ *   - Background scan jobs with progress/ETA, pause/resume/cancel and restart checkpoints
+ *   - Watch: poll attributes that never report and log their changes to the report log
  *   - Write with type override (e.g. "0524:uint16:0014")
  *   - Automatic read-back after write to confirm
- *   - Snapshot/compare to detect attribute changes
- *   - Export/import snapshots as JSON for persistence
- *   - Auto-scan configurable attributes on startup
- *   - Passive report listener for unsolicited attribute reports
+ *   - Write safety: dry run with frame preview, deny/allowlists, confirmation for dangerous attributes
+ *   - Pre-write values kept in the write history; undo one write or restore all since a time
+ *   - Value sweep: write each value in a range, record read-back/reports/changes, restore
+ *   - Read timeouts, retries with backoff and adaptive pacing; timeouts counted apart from errors
+ *   - Attribute schemas in KNOWN_ATTRIBUTES (enums, bitmaps, scale/unit, bounds)
+ *   - Runtime attribute names and notes, shared per model in a file (no restart needed)
+ *   - Snapshot/compare to detect attribute changes (ranges, lists, several endpoints)
+ *   - Named snapshots, offline diff of two snapshots or three (baseline, A, B)
+ *   - Export/import snapshots as JSON
+ *   - Saved snapshots in the Z2M data directory (list/load/delete, survive restarts)
+ *   - Auto-scan on startup and on a schedule (ranges, endpoints), results diffed against the previous run
+ *   - Passive listener for attribute reports and command frames on any cluster, with a searchable log
+ *   - Per-attribute report statistics (interval, periodic vs event-driven, min/max, distinct values)
+ *   - Event timeline of writes, reads and reports (ms times, time since last write, filters, JSON export)
+ *   - Queue mode for sleepy devices: requests run when the device next wakes up
+ *   - Configure reporting and read the current reporting configuration
+ *   - Bind/unbind clusters and read the device binding table
+ *   - Tuya datapoint (DP) explorer: decode DP reports, write DPs, query MCU state
  *   - Raw hex display toggle
+ *   - Lumi/Xiaomi TLV struct decoding (genBasic 0xFF01, manuSpecificLumi 0x00F7)
  *   - Cluster discovery (list clusters on each endpoint)
+ *   - Attribute discovery (ZCL Discover Attributes / Discover Attributes Extended)
+ *   - Command discovery (ZCL Discover Commands Received / Generated)
  *   - Rolling write history log
+ *   - Generate a modernExtend converter from KNOWN_ATTRIBUTES and observed types/access/reporting
  *   - Merge with existing device definition (keep normal device functionality)
  *
  * Installation:
@@ -33,6 +55,14 @@
  *   7. Device appears as the model name defined below
  */
 
+// ============================================================================
+// TOOL IMPORTS — required by the tool itself, do not remove
+// ============================================================================
+
+import fs from 'node:fs';
+import path from 'node:path';
+import {Zcl} from 'zigbee-herdsman';
+
 // ============================================================================
 // Z2M LIBRARY IMPORTS — paste any imports your device definition needs here
 // ============================================================================
@@ -44,7 +74,6 @@
 // import tz from 'zigbee-herdsman-converters/converters/toZigbee';
 // import * as reporting from 'zigbee-herdsman-converters/lib/reporting';
 // import * as e from 'zigbee-herdsman-converters/lib/exposes';
-// import {Zcl} from 'zigbee-herdsman';
 //
 // Vendor-specific:
 // import * as lumi from 'zigbee-herdsman-converters/lib/lumi';
@@ -59,23 +88,104 @@
 // The Zigbee model string your device reports (visible in Z2M device info)
 const TARGET_ZIGBEE_MODEL = 'lumi.light.acn032';
 
-// The Z2M cluster name to read/write attributes on
+// The Z2M cluster name to read/write attributes on (default — can be changed at
+// runtime with the "cluster" field)
 const TARGET_CLUSTER = 'manuSpecificLumi';
 
-// Manufacturer code sent with read/write commands (0x115F = Aqara/Lumi)
+// Manufacturer code sent with read/write commands (0x115F = Aqara/Lumi). Default —
+// can be changed or disabled at runtime with the "manufacturer_code" field
 const manufacturerCode = 0x115f;
 
-// Auto-scan: list of attribute IDs (hex strings) to read on device startup.
-// Leave empty [] to disable. Example: ['0515', '0516', '0517']
+// Auto-scan: attributes to read on device startup. A list of IDs and ranges
+// (['0515', '0516', '0520-0530']) or a snapshot-style spec with endpoints
+// ('ep1:0515-0530;ep2:0000-0010'). Leave empty [] to disable
 const AUTO_SCAN_ATTRIBUTES = [];
 
-// Auto-scan: endpoint to use for startup reads (default 1)
+// Auto-scan: endpoint for IDs without "epN:" (default 1)
 const AUTO_SCAN_ENDPOINT = 1;
 
+// Auto-scan: re-run every this many minutes while Z2M runs. 0 = on startup only
+const AUTO_SCAN_INTERVAL_MIN = 0;
+
+// Auto-scan: JSON file in the Zigbee2MQTT data directory with each device's last
+// results, so every run is diffed against the one before (also across restarts).
+// Set to '' to skip the diff
+const AUTO_SCAN_FILE = 'zpp-auto-scan.json';
+
 // Write history: how many entries to keep in the rolling log
 const WRITE_HISTORY_MAX = 20;
 
-// Known attributes (customize for your device, or leave empty for pure exploration)
+// Event timeline: how many writes, reads and reports to keep per device (in memory)
+const TIMELINE_MAX = 200;
+
+// Report listener: clusters to capture messages on. 'target' follows the "cluster"
+// field, 'all' captures every registered cluster, or list them: ['genOnOff', 'manuSpecificLumi'].
+// Hex IDs ('0xFC7F') also catch clusters herdsman doesn't know; only clusters listed
+// here (or TARGET_CLUSTER) are registered besides the standard ones. Default — can be
+// changed at runtime with the "listen_clusters" field
+const LISTEN_CLUSTERS = 'target';
+
+// Report listener: message types to capture — 'reports' (attribute reports),
+// 'reads' (read responses) and 'commands' (cluster commands and unparsed frames).
+// Default — can be changed at runtime with the "listen_types" field
+const LISTEN_TYPES = ['reports', 'reads', 'commands'];
+
+// Snapshot store: JSON file in the Zigbee2MQTT data directory that snapshots are
+// saved to, keyed by device IEEE address. Set to '' to keep snapshots in state only
+const SNAPSHOT_STORE_FILE = 'zpp-snapshots.json';
+
+// Attribute labels: JSON file in the Zigbee2MQTT data directory with names and notes
+// set at runtime via the "label_attribute" field, keyed by device model. Edits made by
+// hand (or by another Z2M instance sharing the file) are picked up within a second.
+// Set to '' to keep labels in memory only (lost on restart)
+const LABEL_STORE_FILE = 'zpp-labels.json';
+
+// Snapshots: most attributes one snapshot may read (all endpoints together)
+const SNAPSHOT_MAX_ATTRIBUTES = 512;
+
+// Scan jobs: JSON file in the Zigbee2MQTT data directory where background scan jobs
+// checkpoint their progress, so they continue after a restart. '' disables checkpoints
+const SCAN_JOB_FILE = 'zpp-scan-jobs.json';
+
+// Queue mode: JSON file in the Zigbee2MQTT data directory holding queued requests,
+// so they still run after a restart. '' keeps the queue in memory only
+const QUEUE_FILE = 'zpp-queue.json';
+
+// Read pacing, used by every loop that reads attribute by attribute (batch read,
+// range scan, bulk write read-back, snapshot, compare, scan jobs, auto-scan).
+// Per-read timeout in ms (Z2M's own default is 10000). Default — can be changed at
+// runtime with the "read_timeout" field
+const READ_TIMEOUT_MS = 5000;
+// Retries after a timeout or failed delivery; retry N waits READ_RETRY_BACKOFF_MS * 2^(N-1).
+// Default — can be changed at runtime with the "read_retries" field
+const READ_RETRIES = 2;
+const READ_RETRY_BACKOFF_MS = 500;
+// Bounds for the runtime read_timeout and read_retries fields
+const READ_TIMEOUT_MIN_MS = 500;
+const READ_TIMEOUT_MAX_MS = 60000;
+const READ_RETRIES_MAX = 10;
+// Pause between requests: starts at READ_DELAY_MS, doubles while timeouts cluster
+// (up to READ_DELAY_MAX_MS) and shrinks back while the device answers quickly
+const READ_DELAY_MS = 50;
+const READ_DELAY_MIN_MS = 20;
+const READ_DELAY_MAX_MS = 2000;
+
+// Known attributes (customize for your device, or leave empty for pure exploration).
+// An entry is either a name, or an object describing the attribute:
+//
+//   '0517': {
+//       name: 'power_on_behavior',
+//       type: 'uint8',                               // expected ZCL type (DATA_TYPES key)
+//       enum: {0: 'on', 1: 'previous', 2: 'off'},    // value labels
+//   },
+//   '0520': {name: 'temperature', type: 'int16', scale: 0.01, unit: '°C', min: -4000, max: 12500},
+//   '0521': {name: 'indicators', type: 'map8', bitmap: {0: 'led', 1: 'buzzer'}},
+//
+// Labels are accepted in writes ("0517:previous" or "0517:power_on_behavior=previous"),
+// and min/max bounds (raw, unscaled values) are enforced on writes.
+// Add `dangerous: true` (or a reason string) to make writes ask for a confirmation token:
+//
+//   '00ff': {name: 'reset_pairing', type: 'uint8', dangerous: 'clears pairing state'},
 const KNOWN_ATTRIBUTES = {
     '0500': 'Unknown',
     '0501': 'Unknown', 
@@ -84,6 +194,18 @@ const KNOWN_ATTRIBUTES = {
     '0504': 'Unknown',
 };
 
+// Write policy, per cluster (Z2M name or hex ID). Attribute lists take IDs and ranges
+// as in snapshots ("00f0-00ff,0200"). Denied attributes are never written; if a cluster
+// has an allowlist, nothing else on it is written.
+const WRITE_DENYLIST = {
+    // manuSpecificLumi: '00ff',
+};
+const WRITE_ALLOWLIST = {
+    // genBasic: '0010,0011',
+};
+// Command IDs send_command refuses, per cluster (e.g. {genBasic: '00'} blocks Reset to Factory Defaults)
+const COMMAND_DENYLIST = {};
+
 // ============================================================================
 // DEVICE DEFINITION — paste your device's existing Z2M definition pieces here
 // ============================================================================
@@ -174,6 +296,171 @@ function formatValue(value, rawHex) {
     return JSON.stringify(value);
 }
 
+// Lumi/Xiaomi heartbeat attributes pack many readings into tag-type-value
+// records. genBasic 0xFF01 arrives already unpacked by zigbee-herdsman (tag →
+// value, without types); manuSpecificLumi 0x00F7 arrives as a raw buffer.
+const LUMI_TLV_ATTRIBUTES = [
+    {cluster: 'genBasic', clusterId: 0x0000, attrId: 0xff01},
+    {cluster: 'manuSpecificLumi', clusterId: 0xfcc0, attrId: 0x00f7},
+];
+
+// Tags that mean the same thing on most Lumi devices. Others vary per model.
+const LUMI_TLV_TAGS = {
+    0x01: 'voltage mV',
+    0x03: 'device temperature °C',
+    0x05: 'power outage count',
+    0x95: 'energy',
+    0x96: 'voltage',
+    0x97: 'current',
+    0x98: 'power',
+};
+
+function isLumiTlvAttr(cluster, attrId) {
+    return LUMI_TLV_ATTRIBUTES.some((a) => a.attrId === attrId && (a.cluster === cluster || a.clusterId === Number(cluster)));
+}
+
+// Byte size of fixed-length ZCL types (data, bitmap, uint, int in 8-64 bit
+// steps, plus bool, enums and floats)
+function zclFixedSize(type) {
+    for (const base of [0x08, 0x18, 0x20, 0x28]) {
+        if (type >= base && type < base + 8) return type - base + 1;
+    }
+    return {0x10: 1, 0x30: 1, 0x31: 2, 0x38: 2, 0x39: 4, 0x3a: 8}[type];
+}
+
+function readZclInt(buffer, pos, size, signed) {
+    let value = 0n;
+    for (let i = size - 1; i >= 0; i--) {
+        value = (value << 8n) | BigInt(buffer[pos + i]);
+    }
+    if (signed && (value >> BigInt(size * 8 - 1)) & 1n) {
+        value -= 1n << BigInt(size * 8);
+    }
+    return Number.isSafeInteger(Number(value)) ? Number(value) : value.toString();
+}
+
+// Splits a Lumi TLV buffer into {tag, type, value} entries. Returns null if
+// the buffer doesn't parse cleanly (unknown type or truncated record).
+function decodeLumiTlv(buffer) {
+    const entries = [];
+    let pos = 0;
+
+    // Some devices append a single trailing byte, which is ignored
+    while (pos + 2 < buffer.length) {
+        const tag = buffer[pos];
+        const type = buffer[pos + 1];
+        pos += 2;
+
+        let value;
+        if (type === 0x41 || type === 0x42) {
+            const size = buffer[pos];
+            pos += 1;
+            if (pos + size > buffer.length) return null;
+            const bytes = buffer.subarray(pos, pos + size);
+            value = type === 0x42 ? bytes.toString('utf8') : Buffer.from(bytes);
+            pos += size;
+        } else {
+            const size = zclFixedSize(type);
+            if (size === undefined || pos + size > buffer.length) return null;
+            if (type === 0x39) value = buffer.readFloatLE(pos);
+            else if (type === 0x3a) value = buffer.readDoubleLE(pos);
+            else if (type === 0x38) value = buffer.subarray(pos, pos + size).toString('hex').toUpperCase();
+            else value = readZclInt(buffer, pos, size, type >= 0x28 && type <= 0x2f);
+            pos += size;
+        }
+
+        entries.push({tag, type, value});
+    }
+
+    return entries.length > 0 ? entries : null;
+}
+
+// TLV entries from whatever form the value arrived in: a Buffer, a Buffer
+// serialized into state JSON, or a tag → value object unpacked by herdsman
+function lumiTlvEntries(value) {
+    if (Buffer.isBuffer(value)) {
+        return decodeLumiTlv(value);
+    }
+    if (value && typeof value === 'object' && value.type === 'Buffer' && Array.isArray(value.data)) {
+        return decodeLumiTlv(Buffer.from(value.data));
+    }
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        const entries = Object.entries(value)
+            .filter(([k]) => /^\d+$/.test(k))
+            .map(([k, v]) => ({tag: Number(k), type: undefined, value: v}));
+        return entries.length > 0 ? entries : null;
+    }
+    return null;
+}
+
+function tlvTagLabel(tag) {
+    const name = LUMI_TLV_TAGS[tag];
+    return `tag 0x${tag.toString(16).toUpperCase().padStart(2, '0')}${name ? ` (${name})` : ''}`;
+}
+
+function formatTlvEntry(entry, rawHex) {
+    const type = entry.type === undefined ? '' : ` ${dataTypeName(entry.type)}`;
+    return `${tlvTagLabel(entry.tag)}${type} = ${formatValue(entry.value, rawHex)}`;
+}
+
+function formatLumiTlv(entries, rawHex) {
+    return `Lumi TLV[${entries.length}]:\n${entries.map((e) => `      ${formatTlvEntry(e, rawHex)}`).join('\n')}`;
+}
+
+// Per-tag differences between two decoded TLV values
+function diffLumiTlv(oldEntries, newEntries, rawHex) {
+    const lines = [];
+    const oldByTag = new Map(oldEntries.map((e) => [e.tag, e]));
+    const newByTag = new Map(newEntries.map((e) => [e.tag, e]));
+
+    for (const [tag, newEntry] of newByTag) {
+        const oldEntry = oldByTag.get(tag);
+        const newFormatted = formatValue(newEntry.value, rawHex);
+        if (!oldEntry) {
+            lines.push(`    + ${tlvTagLabel(tag)}: ${newFormatted}`);
+        } else {
+            const oldFormatted = formatValue(oldEntry.value, rawHex);
+            if (oldFormatted !== newFormatted) {
+                lines.push(`    ${tlvTagLabel(tag)}: ${oldFormatted} → ${newFormatted}`);
+            }
+        }
+    }
+    for (const [tag, oldEntry] of oldByTag) {
+        if (!newByTag.has(tag)) {
+            lines.push(`    - ${tlvTagLabel(tag)}: ${formatValue(oldEntry.value, rawHex)}`);
+        }
+    }
+
+    return lines;
+}
+
+// Formats an attribute value, decoding Lumi TLV structs where they apply and
+// adding the KNOWN_ATTRIBUTES meaning (enum label, bits, scaled value)
+function formatAttrValue(cluster, attrId, value, rawHex) {
+    const entries = isLumiTlvAttr(cluster, attrId) ? lumiTlvEntries(value) : null;
+    if (entries) {
+        return formatLumiTlv(entries, rawHex);
+    }
+    const formatted = formatValue(value, rawHex);
+    const meaning = !rawHex && attrId !== null ? describeAttrValue(attrSchema(attrId, cluster), value) : '';
+    return meaning ? `${formatted} → ${meaning}` : formatted;
+}
+
+// Report data is keyed by attribute name for attributes Z2M knows and by ID
+// for everything else
+function attrIdFromKey(cluster, key, device) {
+    if (/^\d+$/.test(key)) {
+        return Number(key);
+    }
+    try {
+        const definition = Zcl.Utils.getCluster(cluster, undefined, (device && device.customClusters) || {});
+        const attribute = definition.attributes[key];
+        return attribute ? attribute.ID : null;
+    } catch {
+        return null;
+    }
+}
+
 function parseAttrHex(str) {
     const clean = str.replace(/^0x/i, '').replace(/\s+/g, '').toLowerCase();
     if (!/^[0-9a-f]{1,4}$/.test(clean)) {
@@ -186,15 +473,249 @@ function attrHexStr(id) {
     return `0x${id.toString(16).toUpperCase().padStart(4, '0')}`;
 }
 
-function attrLabel(id) {
+// "0000-007f,00f7,0500-0535" → sorted, de-duplicated attribute IDs
+function parseAttrList(str) {
+    const ids = new Set();
+    for (const item of str.split(',').map((s) => s.trim()).filter(Boolean)) {
+        const bounds = item.split('-');
+        const start = parseAttrHex(bounds[0]);
+        const end = bounds.length === 2 ? parseAttrHex(bounds[1]) : start;
+        if (bounds.length > 2 || start === null || end === null) {
+            throw new Error(`Invalid attribute or range: "${item}"`);
+        }
+        if (start > end) {
+            throw new Error(`Start must be <= end: "${item}"`);
+        }
+        for (let id = start; id <= end; id++) {
+            ids.add(id);
+        }
+    }
+    if (ids.size === 0) {
+        throw new Error('No attributes given');
+    }
+    return [...ids].sort((a, b) => a - b);
+}
+
+// "ep1:0000-007f,00f7;ep2:0500-0520" → [{ep: 1, ids: [...]}, {ep: 2, ids: [...]}].
+// A group without "epN:" uses defaultEp.
+function parseEndpointAttrSpec(str, defaultEp) {
+    const groups = new Map();
+    for (const part of str.split(';').map((s) => s.trim()).filter(Boolean)) {
+        const match = part.match(/^ep(\d+):(.*)$/i);
+        const ep = match ? Number(match[1]) : defaultEp;
+        if (!Number.isInteger(ep) || ep < 1 || ep > 240) {
+            throw new Error(`Invalid endpoint in "${part}"`);
+        }
+        const ids = parseAttrList(match ? match[2] : part);
+        groups.set(ep, [...new Set([...(groups.get(ep) || []), ...ids])].sort((a, b) => a - b));
+    }
+    if (groups.size === 0) {
+        throw new Error('No attributes given');
+    }
+    return [...groups.entries()].sort((a, b) => a[0] - b[0]).map(([ep, ids]) => ({ep, ids}));
+}
+
+// Inverse of parseEndpointAttrSpec, folding consecutive IDs into ranges
+function formatEndpointAttrSpec(groups) {
+    const hex = (id) => id.toString(16).padStart(4, '0');
+    return groups.map(({ep, ids}) => {
+        const items = [];
+        for (let i = 0; i < ids.length; i++) {
+            let j = i;
+            while (j + 1 < ids.length && ids[j + 1] === ids[j] + 1) j++;
+            items.push(j > i ? `${hex(ids[i])}-${hex(ids[j])}` : hex(ids[i]));
+            i = j;
+        }
+        return `ep${ep}:${items.join(',')}`;
+    }).join(';');
+}
+
+// Runtime attribute labels, layout: {"lumi.light.acn032": {"0517": {name, notes, updated}}}.
+// Read through a cache that is refreshed whenever the file's mtime changes. Labels are
+// looked up for every formatted attribute, so the mtime is checked at most every
+// LABEL_CHECK_MS rather than on each lookup.
+const memoryLabels = {};
+const LABEL_CHECK_MS = 1000;
+let labelCache = {checkedAt: 0, mtimeMs: null, labels: {}};
+
+function labelStorePath() {
+    return dataFilePath(LABEL_STORE_FILE);
+}
+
+// Labels for the target model: {"0517": {name, notes, updated}}
+function attributeLabels() {
+    if (!LABEL_STORE_FILE) {
+        return memoryLabels;
+    }
+    const now = Date.now();
+    if (now - labelCache.checkedAt < LABEL_CHECK_MS) {
+        return labelCache.labels;
+    }
+    labelCache.checkedAt = now;
+    let mtimeMs;
+    try {
+        mtimeMs = fs.statSync(labelStorePath()).mtimeMs;
+    } catch {
+        labelCache = {checkedAt: now, mtimeMs: null, labels: {}};
+        return labelCache.labels;
+    }
+    if (mtimeMs !== labelCache.mtimeMs) {
+        try {
+            const store = readJsonFile(labelStorePath());
+            labelCache = {checkedAt: now, mtimeMs, labels: store[TARGET_ZIGBEE_MODEL] || {}};
+        } catch (error) {
+            // Keep the last good labels while the file is being edited
+            console.warn(`[ATTR-TOOL] Labels not reloaded: ${error.message}`);
+            labelCache.mtimeMs = mtimeMs;
+        }
+    }
+    return labelCache.labels;
+}
+
+// Sets (label = {name, notes}) or removes (label = null) the label of one attribute
+function saveAttributeLabel(key, label) {
+    if (!LABEL_STORE_FILE) {
+        if (label) memoryLabels[key] = label;
+        else delete memoryLabels[key];
+        return;
+    }
+    const store = readJsonFile(labelStorePath());
+    const labels = store[TARGET_ZIGBEE_MODEL] || {};
+    if (label) labels[key] = label;
+    else delete labels[key];
+    if (Object.keys(labels).length > 0) store[TARGET_ZIGBEE_MODEL] = labels;
+    else delete store[TARGET_ZIGBEE_MODEL];
+    writeJsonFile(labelStorePath(), store);
+    // Re-read on the next lookup, so the change shows up right away
+    labelCache = {checkedAt: 0, mtimeMs: null, labels: {}};
+}
+
+// KNOWN_ATTRIBUTES and labels describe TARGET_CLUSTER. Callers that don't pass a
+// cluster mean TARGET_CLUSTER.
+function isKnownAttrCluster(cluster) {
+    return cluster === undefined || clusterMatches(cluster, TARGET_CLUSTER);
+}
+
+// Normalized KNOWN_ATTRIBUTES entry: {name, type, scale, unit, enum, bitmap, min, max},
+// with the name and notes from a runtime label (label_attribute) on top. Undefined
+// for attributes of other clusters.
+function attrSchema(id, cluster) {
+    if (!isKnownAttrCluster(cluster)) {
+        return undefined;
+    }
     const key = id.toString(16).toLowerCase().padStart(4, '0');
-    const name = KNOWN_ATTRIBUTES[key] || 'Unknown';
+    const entry = KNOWN_ATTRIBUTES[key];
+    const label = attributeLabels()[key];
+    if (entry === undefined && !label) {
+        return undefined;
+    }
+    const schema = typeof entry === 'object' ? {...entry} : {};
+    if (typeof entry === 'string') {
+        schema.name = entry;
+    }
+    if (typeof schema.type === 'string') {
+        schema.type = DATA_TYPES[entry.type.toLowerCase()];
+        if (schema.type === undefined) {
+            throw new Error(`KNOWN_ATTRIBUTES['${key}']: unknown type "${entry.type}"`);
+        }
+    }
+    if (label && label.name) schema.name = label.name;
+    if (label && label.notes) schema.notes = label.notes;
+    return schema;
+}
+
+function attrLabel(id, cluster) {
+    const schema = attrSchema(id, cluster);
+    const name = (schema && schema.name) || 'Unknown';
     return `${attrHexStr(id)} (${name})`;
 }
 
+// select_attribute option for a KNOWN_ATTRIBUTES key, e.g. "0517 (power_on_behavior)"
+function attrOption(key) {
+    // Runs at module load, before DATA_TYPES exists, so read the name without attrSchema()
+    const entry = KNOWN_ATTRIBUTES[key];
+    const label = attributeLabels()[key];
+    const name = (label && label.name) || (typeof entry === 'string' ? entry : entry && entry.name);
+    return name ? `${key} (${name})` : key;
+}
+
+// Attribute keys with a KNOWN_ATTRIBUTES entry or a runtime label, sorted
+function namedAttributeKeys() {
+    return [...new Set([...Object.keys(KNOWN_ATTRIBUTES), ...Object.keys(attributeLabels())])].sort();
+}
+
+// select_attribute dropdown values. Refreshed in place after label changes, so the
+// frontend shows new names the next time Zigbee2MQTT publishes its device list
+const selectAttributeValues = namedAttributeKeys().map(attrOption);
+
+function refreshSelectAttributeValues() {
+    selectAttributeValues.splice(0, selectAttributeValues.length, ...namedAttributeKeys().map(attrOption));
+}
+
+// Meaning of a numeric value according to the attribute's schema: enum label,
+// set bitmap bits, or scaled value with unit. Empty when there's nothing to add.
+function describeAttrValue(schema, value) {
+    if (!schema || typeof value !== 'number') {
+        return '';
+    }
+
+    const parts = [];
+    if (schema.enum) {
+        parts.push(schema.enum[value] !== undefined ? schema.enum[value] : 'unknown enum value');
+    }
+    if (schema.bitmap) {
+        const bits = [];
+        for (let bit = 0; bit < 32; bit++) {
+            if (value >= 2 ** bit && Math.floor(value / 2 ** bit) % 2 === 1) {
+                bits.push(schema.bitmap[bit] !== undefined ? schema.bitmap[bit] : `bit${bit}`);
+            }
+        }
+        parts.push(bits.length > 0 ? bits.join('|') : 'none');
+    }
+    if (schema.scale !== undefined || schema.unit !== undefined) {
+        const scaled = Number((value * (schema.scale ?? 1)).toFixed(6));
+        parts.push(schema.unit ? `${scaled} ${schema.unit}` : `${scaled}`);
+    }
+    if ((schema.min !== undefined && value < schema.min) || (schema.max !== undefined && value > schema.max)) {
+        parts.push(`out of range ${schema.min ?? ''}..${schema.max ?? ''}`);
+    }
+    return parts.join(', ');
+}
+
+// Resolves an enum label or bitmap bit names ("led|buzzer") to a number.
+// Returns null when the text isn't a label, so it's parsed as hex instead.
+function resolveSchemaLabel(schema, text) {
+    if (!schema) {
+        return null;
+    }
+    const wanted = text.toLowerCase();
+    if (schema.enum) {
+        const match = Object.entries(schema.enum).find(([, label]) => String(label).toLowerCase() === wanted);
+        if (match) return Number(match[0]);
+    }
+    if (schema.bitmap) {
+        const names = wanted.split(/[|+]/).map((n) => n.trim());
+        const bits = names.map((n) => Object.entries(schema.bitmap).find(([, label]) => String(label).toLowerCase() === n));
+        if (bits.every(Boolean)) {
+            return bits.reduce((acc, [bit]) => acc + 2 ** Number(bit), 0);
+        }
+    }
+    return null;
+}
+
+// Default write type for a label-resolved value when the schema has no type
+function labelValueType(schema, value) {
+    if (schema.bitmap) {
+        return value > 0xffff ? DATA_TYPES.map32 : value > 0xff ? DATA_TYPES.map16 : DATA_TYPES.map8;
+    }
+    return value > 0xff ? DATA_TYPES.enum16 : DATA_TYPES.enum8;
+}
+
+// Z2M passes an endpoint as the entity, so endpoints are looked up on its device
 function getEndpoint(entity, epNum) {
-    if (entity.getEndpoint) {
-        const ep = entity.getEndpoint(epNum);
+    const device = entity.getDevice ? entity.getDevice() : entity;
+    if (device.getEndpoint) {
+        const ep = device.getEndpoint(epNum);
         if (!ep) {
             throw new Error(`Endpoint ${epNum} not found on device`);
         }
@@ -207,19 +728,239 @@ function getRawHexSetting(meta) {
     return !!(meta.state && meta.state.raw_hex);
 }
 
+// Cluster keys are Z2M cluster names ("genBasic") or hex cluster IDs ("0xFCC0")
+function parseClusterKey(str) {
+    const trimmed = str.toString().trim();
+    if (/^(0x)?[0-9a-f]{1,4}$/i.test(trimmed)) {
+        return Number.parseInt(trimmed.replace(/^0x/i, ''), 16);
+    }
+    if (!/^[A-Za-z][A-Za-z0-9]*$/.test(trimmed)) {
+        return null;
+    }
+    return trimmed;
+}
+
+function clusterName(cluster) {
+    return typeof cluster === 'number' ? `0x${cluster.toString(16).toUpperCase().padStart(4, '0')}` : cluster;
+}
+
+// Cluster ID with its name when herdsman (or the device's custom clusters) knows it
+function clusterIdLabel(clusterId, device) {
+    const hex = `0x${clusterId.toString(16).toUpperCase().padStart(4, '0')}`;
+    try {
+        const definition = Zcl.Utils.getCluster(clusterId, undefined, (device && device.customClusters) || {});
+        return definition.name !== String(clusterId) ? `${definition.name} (${hex})` : hex;
+    } catch {
+        return hex;
+    }
+}
+
+// Bind destination: "coordinator", "group:5", or "0x00158d0001234567[/1]" (default EP1).
+// herdsman's model classes aren't exported, so other devices are looked up through
+// the Device class of the device we already have.
+function resolveBindTarget(device, spec) {
+    const trimmed = spec.trim().toLowerCase();
+    const Device = device.constructor;
+
+    if (trimmed === 'coordinator') {
+        const coordinator = Device.byType ? Device.byType('Coordinator')[0] : undefined;
+        if (!coordinator) {
+            throw new Error('Coordinator not found');
+        }
+        return {target: coordinator.getEndpoint(1), label: 'coordinator'};
+    }
+
+    const group = trimmed.match(/^group:(\d+)$/);
+    if (group) {
+        const groupId = Number(group[1]);
+        if (groupId > 0xffff) {
+            throw new Error(`Invalid group ID: ${groupId}`);
+        }
+        return {target: groupId, label: `group ${groupId}`};
+    }
+
+    const address = trimmed.match(/^(0x[0-9a-f]{16})(?:\/(\d+))?$/);
+    if (address) {
+        const other = Device.byIeeeAddr ? Device.byIeeeAddr(address[1]) : undefined;
+        if (!other) {
+            throw new Error(`Device ${address[1]} not found`);
+        }
+        const epId = address[2] ? Number(address[2]) : 1;
+        const endpoint = other.getEndpoint(epId);
+        if (!endpoint) {
+            throw new Error(`Endpoint ${epId} not found on ${address[1]}`);
+        }
+        return {target: endpoint, label: `${address[1]}/${epId}`};
+    }
+
+    throw new Error(`Invalid bind target "${spec}". Use "coordinator", "group:ID" or "0xIEEE[/EP]"`);
+}
+
+function bindingDestLabel(entry, coordinatorIeee) {
+    if (entry.destAddrMode === 0x01) {
+        return `group ${entry.dest}`;
+    }
+    if (coordinatorIeee && entry.dest === coordinatorIeee) {
+        return `coordinator/${entry.destEndpoint}`;
+    }
+    return `${entry.dest}/${entry.destEndpoint}`;
+}
+
+// Manufacturer codes are hex ("115f", "0x115F") or "none" to send standard frames
+function parseManufacturerCode(str) {
+    const trimmed = str.toString().trim().toLowerCase();
+    if (trimmed === 'none') {
+        return 'none';
+    }
+    return parseAttrHex(trimmed);
+}
+
+function manufacturerCodeLabel(code) {
+    return code === undefined ? 'no mfr code' : `mfr 0x${code.toString(16).toUpperCase().padStart(4, '0')}`;
+}
+
+// Cluster + manufacturer code for the current request, from the runtime
+// "cluster" / "manufacturer_code" settings, falling back to the constants above
+function getTarget(meta) {
+    const state = (meta && meta.state) || {};
+    const target = {cluster: TARGET_CLUSTER, manufacturerCode};
+    if (state.cluster !== undefined) {
+        const cluster = parseClusterKey(state.cluster);
+        if (cluster !== null) target.cluster = cluster;
+    }
+    if (state.manufacturer_code !== undefined) {
+        const code = parseManufacturerCode(state.manufacturer_code);
+        if (code === 'none') target.manufacturerCode = undefined;
+        else if (code !== null) target.manufacturerCode = code;
+    }
+    return target;
+}
+
+// Snapshots remember the cluster they were taken on; older snapshots without
+// one were always taken on the default cluster
+function getSnapshotTarget(meta) {
+    const stored = meta.state && meta.state.snapshot_target;
+    if (!stored) {
+        return {cluster: TARGET_CLUSTER, manufacturerCode};
+    }
+    return {cluster: stored.cluster, manufacturerCode: stored.manufacturerCode ?? undefined};
+}
+
+function targetLabel(target) {
+    return `${clusterName(target.cluster)} [${manufacturerCodeLabel(target.manufacturerCode)}]`;
+}
+
+// Report messages carry the cluster name; a target given as a numeric ID
+// matches when both resolve to the same cluster
+function clusterMatches(msgCluster, targetCluster, device) {
+    if (msgCluster === targetCluster) return true;
+    const resolveId = (key) => {
+        try {
+            const lookup = typeof key === 'string' && /^\d+$/.test(key) ? Number(key) : key;
+            return Zcl.Utils.getCluster(lookup, undefined, (device && device.customClusters) || {}).ID;
+        } catch {
+            return undefined;
+        }
+    };
+    const msgId = resolveId(msgCluster);
+    return msgId !== undefined && msgId === resolveId(targetCluster);
+}
+
+// Write history entries are {id, timestamp, text, undo?, undone?}. `undo` holds
+// the value read before the write: {ep, cluster, manufacturerCode, attrId, type,
+// value, formatted}. Entries from older versions are plain strings.
 function getWriteHistory(meta) {
     return (meta.state && meta.state.write_history) || [];
 }
 
-function appendWriteHistory(meta, entry) {
-    const history = getWriteHistory(meta);
-    history.push(entry);
+function pushWriteHistory(history, text, undo) {
+    const lastId = history.reduce((max, entry) => Math.max(max, entry.id || 0), 0);
+    history.push({id: lastId + 1, timestamp: timestamp(), text, ...(undo ? {undo} : {})});
     while (history.length > WRITE_HISTORY_MAX) {
         history.shift();
     }
     return history;
 }
 
+function appendWriteHistory(meta, text, undo) {
+    return pushWriteHistory(getWriteHistory(meta), text, undo);
+}
+
+function formatWriteHistoryEntry(entry) {
+    if (typeof entry === 'string') return entry;
+    const undone = entry.undone ? ' [undone]' : '';
+    return `#${entry.id} [${entry.timestamp}] ${entry.text}${undone}`;
+}
+
+function writeHistoryState(history) {
+    return {write_history: history, write_history_log: history.map(formatWriteHistoryEntry).join('\n')};
+}
+
+// Reads an attribute's value and ZCL type before a write, for the undo record.
+// Returns null if it can't be read (write-only attributes); the write still goes ahead.
+async function captureUndo(endpoint, target, attrId) {
+    try {
+        const record = await readAttrRecord(endpoint, target, attrId);
+        return {
+            ep: endpoint.ID,
+            cluster: clusterName(target.cluster),
+            manufacturerCode: target.manufacturerCode ?? null,
+            attrId,
+            type: record.dataType,
+            value: record.attrData,
+            formatted: formatAttrValue(target.cluster, attrId, record.attrData, false),
+        };
+    } catch (error) {
+        console.log(`[ATTR-TOOL] ${attrHexStr(attrId)}: no pre-write value (${error.message}), undo unavailable`);
+        return null;
+    }
+}
+
+// " (was 5 (0x5))" for result lines
+function undoNote(undo) {
+    return undo ? ` (was ${undo.formatted})` : ' (original unreadable, no undo)';
+}
+
+// "2025-01-15 14:30:00" as shown in the write history (UTC), or ISO 8601
+function parseHistoryTime(str) {
+    let iso = str.trim().replace(' ', 'T');
+    if (!iso.includes('T')) iso += 'T00:00:00';
+    if (!/(Z|[+-]\d{2}:?\d{2})$/.test(iso)) iso += 'Z';
+    const time = new Date(iso);
+    if (Number.isNaN(time.getTime())) {
+        throw new Error(`Invalid timestamp "${str}" (e.g. "2025-01-15 14:30:00")`);
+    }
+    return time;
+}
+
+// Writes a history entry's pre-write value back with its original type. Goes through
+// the write policy like any write; dangerous attributes need write_attribute and a
+// confirmation token instead. With dryRun, returns the frame it would send.
+async function restoreUndo(device, undo, rawHex, dryRun, pacer) {
+    const endpoint = device.getEndpoint(undo.ep);
+    if (!endpoint) {
+        throw new Error(`Endpoint ${undo.ep} not found on device`);
+    }
+    const target = {cluster: parseClusterKey(undo.cluster), manufacturerCode: undo.manufacturerCode ?? undefined};
+    const restoring = `EP${undo.ep} ${targetLabel(target)} ${attrLabel(undo.attrId, target.cluster)} ← ${dataTypeName(undo.type)} ${undo.formatted}`;
+    checkWritePolicy(device, target, undo.attrId);
+    if (dryRun) {
+        const typeInfo = {type: undo.type, value: reviveSnapshotValue(undo.value)};
+        return `🧪 Dry run, nothing sent: ${restoring}\nZCL frame: ${writeFrameHex(device, target, undo.attrId, typeInfo)}`;
+    }
+    if (isDangerousAttr(undo.attrId, target.cluster)) {
+        throw new Error(`${attrLabel(undo.attrId, target.cluster)} is marked dangerous; restore it with write_attribute and a confirmation token`);
+    }
+    await writeAttr(endpoint, target, undo.attrId, reviveSnapshotValue(undo.value), undo.type);
+
+    let readBack = '';
+    try {
+        const rb = await readOneAttr(endpoint, undo.attrId, target, pacer);
+        if (rb.ok) readBack = ` → read-back: ${formatAttrValue(target.cluster, undo.attrId, rb.value, rawHex)}`;
+    } catch { /* ignore */ }
+    return `${restoring}${readBack}`;
+}
+
 const DATA_TYPES = {
     bo: 0x10,
     uint8: 0x20,
@@ -228,6 +969,9 @@ const DATA_TYPES = {
     int8: 0x28,
     int16: 0x29,
     int32: 0x2b,
+    map8: 0x18,
+    map16: 0x19,
+    map32: 0x1b,
     enum8: 0x30,
     enum16: 0x31,
     float2: 0x38,
@@ -254,143 +998,2650 @@ function parseTypedValue(typeStr, hexStr) {
     }
     if (typeCode === 0x41) return {type: typeCode, value: Buffer.from(hexStr, 'hex')};
     if (typeCode === 0x42) return {type: typeCode, value: hexStr};
-    return {type: typeCode, value: Number.parseInt(hexStr, 16)};
+    const value = Number.parseInt(hexStr, 16);
+    // Signed types take two's complement hex ("ffff" as int16 is -1)
+    const signedBits = {0x28: 8, 0x29: 16, 0x2b: 32}[typeCode];
+    if (signedBits && value >= 2 ** (signedBits - 1) && value < 2 ** signedBits) {
+        return {type: typeCode, value: value - 2 ** signedBits};
+    }
+    return {type: typeCode, value};
 }
 
-async function readOneAttr(endpoint, attrId) {
-    const result = await endpoint.read(TARGET_CLUSTER, [attrId], {manufacturerCode});
-    if (result && result[attrId] !== undefined) {
-        return {ok: true, value: result[attrId]};
-    }
-    return {ok: false, error: 'No data returned'};
+function dataTypeName(type) {
+    const known = Object.entries(DATA_TYPES).find(([, v]) => v === type);
+    if (known) return known[0];
+    const zclName = Zcl.DataType[type];
+    return zclName ? zclName.toLowerCase() : `0x${type.toString(16).padStart(2, '0')}`;
 }
 
-function parseWriteSpec(spec) {
-    const parts = spec.split(':');
-    if (parts.length < 2 || parts.length > 3) {
-        throw new Error('Format: "ATTR:VALUE" or "ATTR:TYPE:VALUE"');
-    }
+function accessFlags(access) {
+    const flags = [];
+    if (access & 0x01) flags.push('read');
+    if (access & 0x02) flags.push('write');
+    if (access & 0x04) flags.push('report');
+    return flags.length > 0 ? flags.join('/') : 'none';
+}
 
-    const attrId = parseAttrHex(parts[0]);
-    if (attrId === null) {
-        throw new Error(`Invalid attribute: "${parts[0]}"`);
-    }
+// Response IDs of global commands herdsman defines without one. zclCommand only
+// waits for a reply when the command names its response.
+const GLOBAL_COMMAND_RESPONSES = {
+    discoverCommands: 0x12,
+    discoverCommandsGen: 0x14,
+    discoverExt: 0x16,
+};
 
-    let hexStr;
-    let typeInfo;
+function globalCommand(name) {
+    const command = Zcl.Utils.getGlobalCommand(name);
+    const response = GLOBAL_COMMAND_RESPONSES[name];
+    return command.response === undefined && response !== undefined ? {...command, response} : command;
+}
 
-    if (parts.length === 3) {
-        hexStr = parts[2].trim().replace(/^0x/i, '').replace(/[\s:]/g, '');
-        typeInfo = parseTypedValue(parts[1].trim(), hexStr);
-    } else {
-        hexStr = parts[1].trim().replace(/^0x/i, '').replace(/[\s:]/g, '');
-        typeInfo = inferTypeAndValue(hexStr);
+// Sends a ZCL global (foundation) command and returns the response payload.
+// A Default Response in place of the expected response is turned into an error
+// carrying the ZCL status name (e.g. UNSUP_GENERAL_COMMAND).
+async function sendGlobalCommand(endpoint, target, command, payload) {
+    const frame = await endpoint.zclCommand(target.cluster, globalCommand(command), payload, {manufacturerCode: target.manufacturerCode});
+    if (!frame) {
+        throw new Error('No response');
     }
+    if (frame.command.name === 'defaultRsp') {
+        const code = frame.payload.statusCode;
+        throw new Error(Zcl.Status[code] || `Status 0x${code.toString(16).padStart(2, '0')}`);
+    }
+    return frame.payload;
+}
 
-    if (!/^[0-9a-f]*$/i.test(hexStr)) {
-        throw new Error(`Invalid hex value: "${hexStr}"`);
+// Pages through Discover Attributes (Extended) responses until the device
+// reports discovery complete.
+async function discoverAttributes(endpoint, target, extended) {
+    const command = extended ? 'discoverExt' : 'discover';
+    const attributes = [];
+    let startAttrId = 0;
+
+    // Each page holds up to 16 attributes; 256 pages covers the full ID space
+    for (let page = 0; page < 256; page++) {
+        const payload = await sendGlobalCommand(endpoint, target, command, {startAttrId, maxAttrIds: 16});
+        const infos = payload.attrInfos || [];
+        attributes.push(...infos);
+
+        if (payload.discComplete || infos.length === 0) break;
+        const lastId = infos[infos.length - 1].attrId;
+        if (lastId >= 0xffff) break;
+        startAttrId = lastId + 1;
+
+        await new Promise((resolve) => setTimeout(resolve, 50));
     }
 
-    return {attrId, hexStr, typeInfo};
+    return attributes;
 }
 
-function timestamp() {
-    return new Date().toISOString().replace('T', ' ').replace(/\.\d+Z$/, '');
+// Pages through Discover Commands Received (0x11) or Generated (0x13)
+// responses until the device reports discovery complete.
+async function discoverCommands(endpoint, target, generated) {
+    const command = generated ? 'discoverCommandsGen' : 'discoverCommands';
+    const commandIds = [];
+    let startCmdId = 0;
+
+    // Each page holds up to 16 command IDs; 16 pages covers the full ID space
+    for (let page = 0; page < 16; page++) {
+        const payload = await sendGlobalCommand(endpoint, target, command, {startCmdId, maxCmdIds: 16});
+        const ids = payload.commandIds || [];
+        commandIds.push(...ids);
+
+        if (payload.discComplete || ids.length === 0) break;
+        const lastId = ids[ids.length - 1];
+        if (lastId >= 0xff) break;
+        startCmdId = lastId + 1;
+
+        await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+
+    return commandIds;
 }
 
-// ============================================================================
-// DEFINITION
-// ============================================================================
+// Looks up a command in Z2M's cluster definitions; generated (server to
+// client) commands live in commandsResponse
+function findClusterCommand(endpoint, target, cmdId, generated) {
+    try {
+        const device = endpoint.getDevice ? endpoint.getDevice() : undefined;
+        const cluster = Zcl.Utils.getCluster(target.cluster, target.manufacturerCode, (device && device.customClusters) || {});
+        const commands = generated ? cluster.commandsResponse : cluster.commands;
+        return Object.values(commands).find((c) => c.ID === cmdId);
+    } catch {
+        return undefined;
+    }
+}
 
-const definition = {
-    zigbeeModel: [TARGET_ZIGBEE_MODEL],
-    model: 'ATTR-TOOL',
-    vendor: 'Custom',
-    description: 'Manufacturer-Specific Attribute Reader/Writer v4 (scan, compare, batch, bulk, discover)',
+function commandLabel(endpoint, target, cmdId, generated) {
+    const hex = `0x${cmdId.toString(16).toUpperCase().padStart(2, '0')}`;
+    const match = findClusterCommand(endpoint, target, cmdId, generated);
+    return match ? `${hex} (${match.name})` : hex;
+}
 
-    // =================================================================
-    // FROM ZIGBEE — passive report listener
-    // =================================================================
-    fromZigbee: [
-        {
-            cluster: TARGET_CLUSTER,
-            type: ['attributeReport', 'readResponse'],
-            convert: (model, msg, publish, options, meta) => {
-                const epNum = msg.endpoint && msg.endpoint.ID ? msg.endpoint.ID : '?';
-                const entries = [];
+const COMMAND_DIRECTIONS = {
+    c2s: Zcl.Direction.CLIENT_TO_SERVER,
+    s2c: Zcl.Direction.SERVER_TO_CLIENT,
+};
 
-                for (const [attrId, value] of Object.entries(msg.data)) {
-                    const id = Number(attrId);
-                    const label = attrLabel(id);
-                    const formatted = formatValue(value, false);
-                    entries.push(`EP${epNum} ${label} = ${formatted}`);
-                    console.log(`[ATTR-TOOL] 📡 Report: EP${epNum} ${label} = ${formatted}`);
-                }
+function parseCommandSpec(spec) {
+    const parts = spec.split(':').map((p) => p.trim());
+    if (parts.length < 4 || parts.length > 5) {
+        throw new Error('Format: "CLUSTER:CMD:DIR:PAYLOAD" or "CLUSTER:CMD:DIR:MFR:PAYLOAD" (DIR = c2s or s2c)');
+    }
 
-                if (entries.length === 0) return;
+    const cluster = parseClusterKey(parts[0]);
+    if (cluster === null) {
+        throw new Error(`Invalid cluster: "${parts[0]}"`);
+    }
 
-                // Build rolling report log
-                const existing = (meta.state && meta.state.report_log) || [];
-                const now = timestamp();
-                for (const entry of entries) {
-                    existing.push(`[${now}] ${entry}`);
-                }
-                // Keep last 50 report entries
-                while (existing.length > 50) {
-                    existing.shift();
-                }
+    const cmdStr = parts[1].replace(/^0x/i, '');
+    if (!/^[0-9a-f]{1,2}$/i.test(cmdStr)) {
+        throw new Error(`Invalid command ID: "${parts[1]}"`);
+    }
+    const cmdId = Number.parseInt(cmdStr, 16);
 
-                return {
-                    last_report: entries.join('\n'),
-                    report_log: existing,
-                    report_log_display: existing.join('\n'),
-                };
-            },
-        },
-    ],
+    const dirKey = parts[2].toLowerCase();
+    if (COMMAND_DIRECTIONS[dirKey] === undefined) {
+        throw new Error(`Invalid direction: "${parts[2]}". Valid: ${Object.keys(COMMAND_DIRECTIONS).join(', ')}`);
+    }
 
-    // =================================================================
-    // ON EVENT — auto-scan on startup
-    // =================================================================
-    onEvent: async (type, data, device) => {
-        if (type !== 'start' || AUTO_SCAN_ATTRIBUTES.length === 0) return;
+    let code;
+    if (parts.length === 5) {
+        const parsed = parseManufacturerCode(parts[3]);
+        if (parsed === null) {
+            throw new Error(`Invalid manufacturer code: "${parts[3]}"`);
+        }
+        code = parsed === 'none' ? undefined : parsed;
+    }
 
-        console.log(`[ATTR-TOOL] Auto-scan: reading ${AUTO_SCAN_ATTRIBUTES.length} attributes on EP${AUTO_SCAN_ENDPOINT}...`);
+    const hexStr = parts[parts.length - 1].replace(/^0x/i, '').replace(/\s+/g, '');
+    if (!/^([0-9a-f]{2})*$/i.test(hexStr)) {
+        throw new Error(`Invalid hex payload: "${hexStr}"`);
+    }
 
-        try {
-            const endpoint = device.getEndpoint(AUTO_SCAN_ENDPOINT);
-            if (!endpoint) {
-                console.error(`[ATTR-TOOL] Auto-scan: EP${AUTO_SCAN_ENDPOINT} not found`);
-                return;
-            }
+    return {
+        target: {cluster, manufacturerCode: code},
+        cmdId,
+        dirKey,
+        direction: COMMAND_DIRECTIONS[dirKey],
+        hexStr,
+        payload: Buffer.from(hexStr, 'hex'),
+    };
+}
 
-            const results = [];
-            for (const hexStr of AUTO_SCAN_ATTRIBUTES) {
-                const attrId = parseAttrHex(hexStr);
-                if (attrId === null) {
-                    console.error(`[ATTR-TOOL] Auto-scan: invalid attr "${hexStr}"`);
-                    continue;
+// Command definition that carries the payload as raw bytes. Commands Z2M
+// knows keep their name and response ID so the command response is awaited;
+// anything else waits for the Default Response.
+function rawCommandDefinition(endpoint, cmd) {
+    const generated = cmd.direction === Zcl.Direction.SERVER_TO_CLIENT;
+    const known = findClusterCommand(endpoint, cmd.target, cmd.cmdId, generated);
+    return {
+        ID: cmd.cmdId,
+        name: known ? known.name : `0x${cmd.cmdId.toString(16).toUpperCase().padStart(2, '0')}`,
+        parameters: [{name: 'data', type: Zcl.BuffaloZclDataType.BUFFER}],
+        response: known ? known.response : undefined,
+    };
+}
+
+async function sendRawCommand(endpoint, cmd) {
+    const definition = rawCommandDefinition(endpoint, cmd);
+    const frame = await endpoint.zclCommand(
+        cmd.target.cluster,
+        definition,
+        {data: cmd.payload},
+        {manufacturerCode: cmd.target.manufacturerCode, direction: cmd.direction, disableDefaultResponse: false},
+        undefined,
+        false,
+        Zcl.FrameType.SPECIFIC,
+    );
+    if (!frame) {
+        return 'no response';
+    }
+    if (frame.command.name === 'defaultRsp') {
+        const code = frame.payload.statusCode;
+        return `Default Response: ${Zcl.Status[code] || `0x${code.toString(16).padStart(2, '0')}`}`;
+    }
+    return `${frame.command.name}: ${JSON.stringify(frame.payload)}`;
+}
+
+// A response faster than this counts as quick and lets the pacing delay shrink
+const FAST_RESPONSE_MS = 300;
+
+// Timeouts (and failed deliveries) are usually the mesh, not the attribute
+function requestErrorKind(error) {
+    const message = error.message || '';
+    if (message.includes('UNSUPPORTED_ATTRIBUTE')) return 'unsupported';
+    if (/timed? ?out|delivery failed|no.?ack/i.test(message)) return 'timeout';
+    return 'failed';
+}
+
+// Per-read timeout and retries, from state or READ_TIMEOUT_MS / READ_RETRIES
+function getReadSettings(meta) {
+    const state = (meta && meta.state) || {};
+    return {
+        timeoutMs: state.read_timeout ?? READ_TIMEOUT_MS,
+        retries: state.read_retries ?? READ_RETRIES,
+    };
+}
+
+// Adaptive delay between requests, one per loop. It also carries the loop's read settings.
+function createPacer(readSettings = getReadSettings()) {
+    return {delay: READ_DELAY_MS, recent: [], ...readSettings};
+}
+
+function pacerRecord(pacer, timedOut, elapsedMs) {
+    if (!pacer) return;
+    pacer.recent.push(timedOut);
+    if (pacer.recent.length > 5) pacer.recent.shift();
+
+    if (timedOut) {
+        // One timeout can be bad luck; two among the last five means back off
+        if (pacer.recent.filter(Boolean).length >= 2) {
+            pacer.delay = Math.min(READ_DELAY_MAX_MS, pacer.delay * 2);
+        }
+    } else if (elapsedMs < FAST_RESPONSE_MS) {
+        pacer.delay = Math.max(READ_DELAY_MIN_MS, Math.round(pacer.delay * 0.8));
+    }
+}
+
+async function pacerWait(pacer) {
+    const delay = pacer ? pacer.delay : READ_DELAY_MS;
+    await new Promise((resolve) => setTimeout(resolve, delay));
+}
+
+// Per-loop tally of failures, split so mesh timeouts don't pass for device errors
+function newFailureCounts() {
+    return {unsupported: 0, timeouts: 0, failed: 0};
+}
+
+function countFailure(counts, error) {
+    const kind = requestErrorKind(error);
+    if (kind === 'unsupported') counts.unsupported++;
+    else if (kind === 'timeout') counts.timeouts++;
+    else counts.failed++;
+    return kind;
+}
+
+function formatFailureCounts(counts) {
+    return `${counts.unsupported} unsupported, ${counts.timeouts} timeouts, ${counts.failed} failed`;
+}
+
+// endpoint.read() keys values like report data: by name for attributes herdsman
+// knows (e.g. {zclVersion: 3}), by ID for everything else
+function readResultValue(result, cluster, attrId, device) {
+    if (!result) return undefined;
+    if (result[attrId] !== undefined) return result[attrId];
+    const key = Object.keys(result).find((name) => attrIdFromKey(cluster, name, device) === attrId);
+    return key === undefined ? undefined : result[key];
+}
+
+// Reads one attribute, retrying with backoff when the request times out.
+// Pass the loop's pacer so response times feed the adaptive delay and its read
+// settings apply. Watches pass timeline: false and record only the changes they find.
+async function readOneAttr(endpoint, attrId, target, pacer, {timeline = true} = {}) {
+    const {timeoutMs, retries} = pacer || getReadSettings();
+    for (let attempt = 0; ; attempt++) {
+        const started = Date.now();
+        try {
+            const result = await endpoint.read(target.cluster, [attrId], {
+                manufacturerCode: target.manufacturerCode,
+                timeout: timeoutMs,
+            });
+            pacerRecord(pacer, false, Date.now() - started);
+            const value = readResultValue(result, target.cluster, attrId, endpoint.getDevice && endpoint.getDevice());
+            if (value !== undefined) {
+                if (timeline) {
+                    recordTimeline(endpoint.deviceIeeeAddress, {
+                        type: 'read',
+                        ep: endpoint.ID,
+                        cluster: clusterName(target.cluster),
+                        attr: attrHexStr(attrId),
+                        text: `${attrLabel(attrId, target.cluster)} = ${formatAttrValue(target.cluster, attrId, value, false)}`,
+                    });
+                }
+                observeAttr(endpoint.deviceIeeeAddress, endpoint.ID, target.cluster, attrId, {
+                    readable: true, manufacturerCode: target.manufacturerCode,
+                });
+                return {ok: true, value};
+            }
+            return {ok: false, error: 'No data returned'};
+        } catch (error) {
+            const timedOut = requestErrorKind(error) === 'timeout';
+            pacerRecord(pacer, timedOut, Date.now() - started);
+            if (!timedOut || attempt >= retries) {
+                throw error;
+            }
+            console.log(`[ATTR-TOOL] ${attrHexStr(attrId)}: timeout, retry ${attempt + 1}/${retries}`);
+            await new Promise((resolve) => setTimeout(resolve, READ_RETRY_BACKOFF_MS * 2 ** attempt));
+        }
+    }
+}
+
+// ZCL data type of an attribute, taken from a raw Read Attributes response
+async function readAttrDataType(endpoint, target, attrId) {
+    return (await readAttrRecord(endpoint, target, attrId)).dataType;
+}
+
+// Raw Read Attributes record for one attribute: {attrId, status, dataType, attrData}
+async function readAttrRecord(endpoint, target, attrId) {
+    const records = await sendGlobalCommand(endpoint, target, 'read', [{attrId}]);
+    const record = records.find((r) => r.attrId === attrId);
+    if (!record) {
+        throw new Error('No data returned');
+    }
+    if (record.status !== Zcl.Status.SUCCESS) {
+        throw new Error(Zcl.Status[record.status] || `Status 0x${record.status.toString(16).padStart(2, '0')}`);
+    }
+    observeAttr(endpoint.deviceIeeeAddress, endpoint.ID, target.cluster, attrId, {
+        type: record.dataType, readable: true, manufacturerCode: target.manufacturerCode,
+    });
+    return record;
+}
+
+// "0515:min=1:max=300:change=1[:type=uint16]" → reporting config for one attribute.
+// Intervals are seconds (decimal); max=65535 turns reporting off.
+function parseReportingSpec(spec) {
+    const [attrStr, ...options] = spec.split(':').map((p) => p.trim());
+    const attrId = parseAttrHex(attrStr);
+    if (attrId === null) {
+        throw new Error(`Invalid attribute: "${attrStr}"`);
+    }
+
+    const config = {attrId, min: 1, max: 300, change: 1, type: undefined};
+    for (const option of options) {
+        const [name, optValue] = option.split('=').map((p) => p.trim().toLowerCase());
+        if (name === 'type') {
+            config.type = DATA_TYPES[optValue];
+            if (config.type === undefined) {
+                throw new Error(`Unknown type "${optValue}". Valid: ${Object.keys(DATA_TYPES).join(', ')}`);
+            }
+        } else if (['min', 'max', 'change'].includes(name)) {
+            const number = Number(optValue);
+            if (optValue === undefined || optValue === '' || !Number.isFinite(number)) {
+                throw new Error(`Invalid ${name}: "${optValue}"`);
+            }
+            if (name !== 'change' && (!Number.isInteger(number) || number < 0 || number > 0xffff)) {
+                throw new Error(`${name} must be 0-65535 seconds`);
+            }
+            config[name] = number;
+        } else {
+            throw new Error(`Unknown option "${option}" (min, max, change, type)`);
+        }
+    }
+    if (config.max !== 0 && config.max !== 0xffff && config.min > config.max) {
+        throw new Error(`min (${config.min}) is greater than max (${config.max})`);
+    }
+    return config;
+}
+
+function formatReportingConfig(record) {
+    const type = dataTypeName(record.dataType);
+    const max = record.maxRepIntval === 0xffff ? 'off' : `${record.maxRepIntval}s`;
+    // Reportable change only exists for analog types (integers, floats, time)
+    const analog = record.repChange !== undefined && Zcl.Utils.isAnalogDataType(record.dataType);
+    const change = analog ? `, change=${formatValue(record.repChange, false)}` : '';
+    return `min=${record.minRepIntval}s, max=${max}${change} (${type})`;
+}
+
+function parseWriteSpec(spec, cluster) {
+    const parts = spec.split(':');
+    if (parts.length < 2 || parts.length > 3) {
+        throw new Error('Format: "ATTR:VALUE" or "ATTR:TYPE:VALUE"');
+    }
+
+    const attrId = parseAttrHex(parts[0]);
+    if (attrId === null) {
+        throw new Error(`Invalid attribute: "${parts[0]}"`);
+    }
+
+    const schema = attrSchema(attrId, cluster);
+    let valueStr = parts[parts.length - 1].trim();
+
+    // "NAME=LABEL" form: the name must match the attribute's schema name
+    if (valueStr.includes('=')) {
+        const [name, label] = valueStr.split('=').map((p) => p.trim());
+        const normalize = (n) => n.toLowerCase().replace(/[\s-]+/g, '_');
+        if (!schema || !schema.name || normalize(schema.name) !== normalize(name)) {
+            throw new Error(`"${name}" is not the name of ${attrHexStr(attrId)}`);
+        }
+        valueStr = label;
+    }
+
+    let hexStr;
+    let typeInfo;
+    const labelValue = resolveSchemaLabel(schema, valueStr);
+
+    if (labelValue !== null) {
+        hexStr = labelValue.toString(16).padStart(2, '0');
+        let type;
+        if (parts.length === 3) {
+            type = DATA_TYPES[parts[1].trim().toLowerCase()];
+            if (type === undefined) {
+                throw new Error(`Unknown type "${parts[1].trim()}". Valid: ${Object.keys(DATA_TYPES).join(', ')}`);
+            }
+        } else {
+            type = schema.type ?? labelValueType(schema, labelValue);
+        }
+        typeInfo = {type, value: labelValue};
+    } else {
+        hexStr = valueStr.replace(/^0x/i, '').replace(/[\s:]/g, '');
+        if (parts.length === 3) {
+            typeInfo = parseTypedValue(parts[1].trim(), hexStr);
+        } else if (schema && schema.type !== undefined) {
+            typeInfo = parseTypedValue(dataTypeName(schema.type), hexStr);
+        } else {
+            typeInfo = inferTypeAndValue(hexStr);
+        }
+
+        if (!/^[0-9a-f]*$/i.test(hexStr)) {
+            const labels = schema && (schema.enum || schema.bitmap);
+            const hint = labels ? ` (labels: ${Object.values(labels).join(', ')})` : '';
+            throw new Error(`Invalid hex value: "${hexStr}"${hint}`);
+        }
+    }
+
+    if (schema && typeof typeInfo.value === 'number') {
+        if ((schema.min !== undefined && typeInfo.value < schema.min) || (schema.max !== undefined && typeInfo.value > schema.max)) {
+            throw new Error(`${attrLabel(attrId, cluster)}: ${typeInfo.value} is outside ${schema.min ?? ''}..${schema.max ?? ''}`);
+        }
+    }
+
+    return {attrId, hexStr, typeInfo};
+}
+
+// "0517:uint8:00-0a:delay=2000:watch=0515,0516" → value sweep over one attribute.
+// Each value goes through parseWriteSpec, so schema bounds still apply.
+function parseSweepSpec(spec) {
+    const [attrStr, typeStr, rangeStr, ...options] = spec.split(':').map((p) => p.trim());
+    if (!attrStr || !typeStr || !rangeStr) {
+        throw new Error('Format: "ATTR:TYPE:START-END[:delay=MS][:watch=ATTRS]" (e.g. "0517:uint8:00-0a:delay=2000")');
+    }
+    const attrId = parseAttrHex(attrStr);
+    if (attrId === null) {
+        throw new Error(`Invalid attribute: "${attrStr}"`);
+    }
+    const type = DATA_TYPES[typeStr.toLowerCase()];
+    if (type === undefined || [0x38, 0x39, 0x3a, 0x41, 0x42, 0x43, 0x44].includes(type)) {
+        throw new Error(`Sweeps need an integer, enum or bitmap type, not "${typeStr}"`);
+    }
+
+    const bounds = rangeStr.replace(/0x/gi, '').split('-');
+    if (bounds.length !== 2 || !bounds.every((b) => /^[0-9a-f]+$/i.test(b))) {
+        throw new Error(`Invalid value range: "${rangeStr}" (e.g. "00-0a")`);
+    }
+    const start = Number.parseInt(bounds[0], 16);
+    const end = Number.parseInt(bounds[1], 16);
+    if (start > end) {
+        throw new Error(`Start (${bounds[0]}) must be <= end (${bounds[1]})`);
+    }
+    if (end - start + 1 > 64) {
+        throw new Error(`Too many values (${end - start + 1}). Max 64.`);
+    }
+
+    const sweep = {attrId, typeStr: typeStr.toLowerCase(), start, end, width: bounds[0].length, delay: 1000, watch: []};
+    for (const option of options) {
+        const [name, optValue] = option.split('=').map((p) => p.trim());
+        if (name === 'delay' && /^\d+$/.test(optValue || '')) {
+            sweep.delay = Number(optValue);
+            if (sweep.delay > 10000) {
+                throw new Error(`Delay ${sweep.delay}ms is too long. Max 10000.`);
+            }
+        } else if (name === 'watch' && optValue) {
+            sweep.watch = parseAttrList(optValue).filter((id) => id !== attrId);
+        } else {
+            throw new Error(`Unknown sweep option "${option}" (use delay=MS or watch=ATTRS)`);
+        }
+    }
+    return sweep;
+}
+
+// Trailing ":confirm=TOKEN" on a write spec → {spec, token}
+function splitConfirmToken(spec) {
+    const match = spec.match(/^(.*):confirm=([0-9a-f]+)$/i);
+    return match ? {spec: match[1], token: match[2].toLowerCase()} : {spec, token: undefined};
+}
+
+// The IDs a policy table lists for a cluster, or null if the cluster isn't in it
+function policyListFor(table, tableName, cluster, device) {
+    for (const [key, list] of Object.entries(table)) {
+        const listCluster = parseClusterKey(key);
+        if (listCluster === null || !clusterMatches(cluster, listCluster, device)) continue;
+        const items = [].concat(list).join(',');
+        try {
+            return items ? parseAttrList(items) : [];
+        } catch (error) {
+            throw new Error(`${tableName}['${key}']: ${error.message}`);
+        }
+    }
+    return null;
+}
+
+// Throws if WRITE_DENYLIST / WRITE_ALLOWLIST forbid writing the attribute
+function checkWritePolicy(device, target, attrId) {
+    const cluster = clusterName(target.cluster);
+    const denied = policyListFor(WRITE_DENYLIST, 'WRITE_DENYLIST', target.cluster, device);
+    if (denied && denied.includes(attrId)) {
+        throw new Error(`Blocked: ${attrLabel(attrId, target.cluster)} is on the WRITE_DENYLIST for ${cluster}`);
+    }
+    const allowed = policyListFor(WRITE_ALLOWLIST, 'WRITE_ALLOWLIST', target.cluster, device);
+    if (allowed && !allowed.includes(attrId)) {
+        throw new Error(`Blocked: ${attrLabel(attrId, target.cluster)} is not on the WRITE_ALLOWLIST for ${cluster}`);
+    }
+}
+
+function checkCommandPolicy(device, cmd) {
+    const denied = policyListFor(COMMAND_DENYLIST, 'COMMAND_DENYLIST', cmd.target.cluster, device);
+    if (denied && denied.includes(cmd.cmdId)) {
+        throw new Error(`Blocked: command 0x${cmd.cmdId.toString(16).toUpperCase().padStart(2, '0')} is on the COMMAND_DENYLIST for ${clusterName(cmd.target.cluster)}`);
+    }
+}
+
+function isDangerousAttr(attrId, cluster) {
+    const schema = attrSchema(attrId, cluster);
+    return !!(schema && schema.dangerous);
+}
+
+// Tokens issued for writes to dangerous attributes, keyed by the exact write
+const confirmationTokens = new Map();
+const CONFIRM_TOKEN_TTL_MS = 60000;
+
+// Returns null if the write may go ahead: the attribute isn't dangerous, or `token` is
+// the one issued for this exact write (device, endpoint, target, attribute, type, value).
+// Otherwise issues a token and returns the message asking to resend with it.
+function confirmationPrompt(device, epNum, target, attrId, typeInfo, token, spec) {
+    if (!isDangerousAttr(attrId, target.cluster)) return null;
+
+    const now = Date.now();
+    for (const [key, issued] of confirmationTokens) {
+        if (issued.expires <= now) confirmationTokens.delete(key);
+    }
+    const value = Buffer.isBuffer(typeInfo.value) ? typeInfo.value.toString('hex') : String(typeInfo.value);
+    const key = [device.ieeeAddr, epNum, clusterName(target.cluster), target.manufacturerCode ?? '', attrId, typeInfo.type, value].join('/');
+    const issued = confirmationTokens.get(key);
+    if (token && issued && issued.token === token) {
+        return null;
+    }
+
+    const newToken = Math.floor(Math.random() * 0x10000).toString(16).padStart(4, '0');
+    confirmationTokens.set(key, {token: newToken, expires: now + CONFIRM_TOKEN_TTL_MS});
+    const {dangerous} = attrSchema(attrId, target.cluster);
+    const reason = typeof dangerous === 'string' ? ` (${dangerous})` : '';
+    return `⚠ ${attrLabel(attrId, target.cluster)} is marked dangerous${reason}. To write it, resend "${spec}:confirm=${newToken}" within ${CONFIRM_TOKEN_TTL_MS / 1000}s`;
+}
+
+function getDryRunSetting(meta) {
+    return !!(meta.state && meta.state.dry_run);
+}
+
+// The ZCL frame a request would send, as spaced hex. The sequence number is shown as 00.
+function encodeFrameHex(device, frameType, direction, target, command, payload) {
+    try {
+        const frame = Zcl.Frame.create(
+            frameType, direction, false, target.manufacturerCode, 0,
+            command, target.cluster, payload, (device && device.customClusters) || {},
+        );
+        return frame.toBuffer().toString('hex').match(/../g).join(' ');
+    } catch (error) {
+        return `(cannot encode: ${error.message})`;
+    }
+}
+
+function writeFrameHex(device, target, attrId, typeInfo) {
+    const payload = [{attrId, dataType: typeInfo.type, attrData: typeInfo.value}];
+    return encodeFrameHex(device, Zcl.FrameType.GLOBAL, Zcl.Direction.CLIENT_TO_SERVER, target, 'write', payload);
+}
+
+// Tuya DP types as sent in the manuSpecificTuya (0xEF00) dpValues list
+const TUYA_DP_TYPES = {
+    raw: 0x00,
+    bool: 0x01,
+    value: 0x02,
+    string: 0x03,
+    enum: 0x04,
+    bitmap: 0x05,
+};
+
+function tuyaTypeName(datatype) {
+    return Object.entries(TUYA_DP_TYPES).find(([, v]) => v === datatype)?.[0] || `0x${datatype.toString(16).padStart(2, '0')}`;
+}
+
+function decodeTuyaValue(datatype, data) {
+    switch (datatype) {
+    case TUYA_DP_TYPES.bool:
+        return data[0] === 1;
+    case TUYA_DP_TYPES.value:
+        return data.length === 4 ? data.readInt32BE(0) : data;
+    case TUYA_DP_TYPES.string:
+        return data.toString('utf8');
+    case TUYA_DP_TYPES.enum:
+        return data[0];
+    case TUYA_DP_TYPES.bitmap:
+        return data.length > 0 && data.length <= 4 ? data.readUIntBE(0, data.length) : data;
+    default:
+        return data;
+    }
+}
+
+// Decoded value of a DP and how it is displayed
+function tuyaDpValue(dpValue, rawHex) {
+    const value = decodeTuyaValue(dpValue.datatype, Buffer.from(dpValue.data));
+    const shown = typeof value === 'string' ? JSON.stringify(value) : formatValue(value, rawHex);
+    return {value, shown};
+}
+
+function formatTuyaDp(dpValue, rawHex) {
+    return `DP ${dpValue.dp} (${tuyaTypeName(dpValue.datatype)}) = ${tuyaDpValue(dpValue, rawHex).shown}`;
+}
+
+// Parses "DP:TYPE:VALUE" (DP in decimal, as Tuya documents them) into a
+// dpValues entry with the value encoded for its type
+function parseTuyaDpSpec(spec) {
+    const parts = spec.split(':');
+    if (parts.length < 3) {
+        throw new Error(`Format: "DP:TYPE:VALUE" (types: ${Object.keys(TUYA_DP_TYPES).join(', ')})`);
+    }
+
+    const dp = Number(parts[0].trim());
+    if (!Number.isInteger(dp) || dp < 0 || dp > 255) {
+        throw new Error(`Invalid DP: "${parts[0]}" (0-255)`);
+    }
+
+    const typeStr = parts[1].trim().toLowerCase();
+    const datatype = TUYA_DP_TYPES[typeStr];
+    if (datatype === undefined) {
+        throw new Error(`Unknown DP type "${parts[1]}". Valid: ${Object.keys(TUYA_DP_TYPES).join(', ')}`);
+    }
+
+    // Strings may themselves contain colons
+    const valueStr = parts.slice(2).join(':');
+    const trimmed = valueStr.trim();
+    const number = Number(trimmed);
+    let data;
+
+    switch (datatype) {
+    case TUYA_DP_TYPES.bool: {
+        const lower = trimmed.toLowerCase();
+        if (!['0', '1', 'true', 'false', 'on', 'off'].includes(lower)) {
+            throw new Error(`Invalid bool: "${trimmed}" (0/1, true/false, on/off)`);
+        }
+        data = Buffer.from([['1', 'true', 'on'].includes(lower) ? 1 : 0]);
+        break;
+    }
+    case TUYA_DP_TYPES.value:
+        if (!Number.isInteger(number) || number < -0x80000000 || number > 0xffffffff) {
+            throw new Error(`Invalid value: "${trimmed}" (32-bit integer)`);
+        }
+        data = Buffer.alloc(4);
+        if (number < 0) data.writeInt32BE(number);
+        else data.writeUInt32BE(number);
+        break;
+    case TUYA_DP_TYPES.enum:
+        if (!Number.isInteger(number) || number < 0 || number > 0xff) {
+            throw new Error(`Invalid enum: "${trimmed}" (0-255)`);
+        }
+        data = Buffer.from([number]);
+        break;
+    case TUYA_DP_TYPES.bitmap: {
+        if (!Number.isInteger(number) || number < 0 || number > 0xffffffff) {
+            throw new Error(`Invalid bitmap: "${trimmed}" (up to 32 bits)`);
+        }
+        const size = number > 0xffff ? 4 : number > 0xff ? 2 : 1;
+        data = Buffer.alloc(size);
+        data.writeUIntBE(number, 0, size);
+        break;
+    }
+    case TUYA_DP_TYPES.string:
+        data = Buffer.from(valueStr, 'utf8');
+        break;
+    default: {
+        const hexStr = trimmed.replace(/^0x/i, '').replace(/\s+/g, '');
+        if (!/^([0-9a-f]{2})+$/i.test(hexStr)) {
+            throw new Error(`Invalid raw hex: "${trimmed}"`);
+        }
+        data = Buffer.from(hexStr, 'hex');
+    }
+    }
+
+    return {dp, datatype, data};
+}
+
+// Tuya frames carry a 16-bit sequence number; kept in state so it keeps
+// counting across requests
+function nextTuyaSeq(meta) {
+    const last = (meta.state && meta.state.tuya_seq) || 0;
+    return (last + 1) & 0xffff;
+}
+
+// Latest report log and filter per device. Watches add entries between messages,
+// when there's no current meta.state to take the log from
+const reportLogs = new Map();
+
+function rememberReportLog(ieeeAddr, log, filter) {
+    if (ieeeAddr) reportLogs.set(ieeeAddr, {log, filter});
+}
+
+// Report log entries are {timestamp, attr, value, text}; `attr` and `value`
+// are what report_filter matches. Entries from older versions are plain strings.
+// Without meta.state (watches), the remembered log is appended to
+function appendReportLog(meta, entries) {
+    const ieeeAddr = meta.device && meta.device.ieeeAddr;
+    const current = meta.state ?
+        {log: meta.state.report_log || [], filter: meta.state.report_filter || ''} :
+        reportLogs.get(ieeeAddr) || {log: [], filter: ''};
+    const existing = current.log;
+    const now = timestamp();
+    for (const entry of entries) {
+        existing.push({timestamp: now, ...entry});
+    }
+    // Keep last 50 report entries
+    while (existing.length > 50) {
+        existing.shift();
+    }
+
+    rememberReportLog(ieeeAddr, existing, current.filter);
+
+    return {
+        last_report: entries.map((entry) => entry.text).join('\n'),
+        report_log: existing,
+        report_log_display: reportLogDisplay(existing, current.filter),
+    };
+}
+
+function reportLogDisplay(log, filterSpec) {
+    const format = (entry) => (typeof entry === 'string' ? entry : `[${entry.timestamp}] ${entry.text}`);
+    if (!filterSpec) {
+        return log.map(format).join('\n');
+    }
+
+    const filter = parseEventFilter(filterSpec.split(':'), REPORT_FILTER_OPTIONS);
+    const value = filter.value && filter.value.toLowerCase();
+    let entries = log.filter((entry) => typeof entry !== 'string' &&
+        (!filter.attrs || filter.attrs.includes(entry.attr)) &&
+        (!value || entry.value.toLowerCase().includes(value)));
+    const matched = entries.length;
+    if (filter.last) entries = entries.slice(-filter.last);
+    const header = `Filter ${filterSpec}: ${matched} of ${log.length} entries match`;
+    return [header, ...entries.map(format)].join('\n');
+}
+
+// Sweeps collect the unsolicited reports a device sends while they run
+const reportObservers = new Map();
+
+// Registers an array that receives the device's report entries; returns the unregister function
+function observeReports(ieeeAddr, sink) {
+    if (!reportObservers.has(ieeeAddr)) {
+        reportObservers.set(ieeeAddr, new Set());
+    }
+    reportObservers.get(ieeeAddr).add(sink);
+    return () => reportObservers.get(ieeeAddr).delete(sink);
+}
+
+function notifyReportObservers(device, entries) {
+    const sinks = device && reportObservers.get(device.ieeeAddr);
+    if (!sinks) return;
+    for (const sink of sinks) {
+        sink.push(...entries);
+    }
+}
+
+// Event timeline per device: {events, lastWrite}. Events are {time (ms), type
+// ('write', 'read', 'report' or 'command'), ep, cluster, attr, text, failed?,
+// afterWrite?}; `attr` is "0x0517" for ZCL attributes, "DP 2" for Tuya
+// datapoints and "cmd 0x02" for commands.
+const timelines = new Map();
+const TIMELINE_TYPES = ['write', 'read', 'report', 'command'];
+
+// Adds an event and returns it. Reports and commands get the time since the device's last write.
+function recordTimeline(ieeeAddr, event) {
+    if (!ieeeAddr) return {};
+    if (!timelines.has(ieeeAddr)) {
+        timelines.set(ieeeAddr, {events: [], lastWrite: null});
+    }
+    const timeline = timelines.get(ieeeAddr);
+    const entry = {time: Date.now(), ...event};
+    if ((entry.type === 'report' || entry.type === 'command') && timeline.lastWrite) {
+        entry.afterWrite = {attr: timeline.lastWrite.attr, ms: entry.time - timeline.lastWrite.time};
+    }
+    if (entry.type === 'write') {
+        timeline.lastWrite = entry;
+    }
+    timeline.events.push(entry);
+    while (timeline.events.length > TIMELINE_MAX) {
+        timeline.events.shift();
+    }
+    return entry;
+}
+
+function timestampMs(time) {
+    return new Date(time).toISOString().replace('T', ' ').replace('Z', '');
+}
+
+function formatSinceWrite(afterWrite) {
+    const since = afterWrite.ms < 10000 ? `${afterWrite.ms}ms` : formatDuration(afterWrite.ms);
+    return `+${since} after write ${afterWrite.attr}`;
+}
+
+function formatTimelineEvent(event) {
+    const after = event.afterWrite ? ` (${formatSinceWrite(event.afterWrite)})` : '';
+    return `${timestampMs(event.time)} ${event.type.toUpperCase().padEnd(7)} EP${event.ep} ${event.cluster} ${event.text}${after}`;
+}
+
+// "0517" → "0x0517", "dp2" → "DP 2", as events and report entries name attributes
+function parseEventAttr(item) {
+    const dp = /^dp\s*(\d+)$/i.exec(item);
+    if (dp) return `DP ${Number(dp[1])}`;
+    const attrId = parseAttrHex(item);
+    if (attrId === null) {
+        throw new Error(`Invalid attribute: "${item}" (hex ID or "dpN")`);
+    }
+    return attrHexStr(attrId);
+}
+
+const TIMELINE_FILTER_OPTIONS = ['attr', 'type', 'last'];
+const REPORT_FILTER_OPTIONS = ['attr', 'value', 'last'];
+const FILTER_USAGE = {attr: 'attr=IDS', type: `type=${TIMELINE_TYPES.join(',')}`, value: 'value=TEXT', last: 'last=N'};
+
+// "attr=0515,0517:type=write,report:last=20" → {attrs, types, value, last}. Tuya
+// datapoints are given as "dp2". `allowed` lists the options the caller supports.
+function parseEventFilter(parts, allowed) {
+    const filter = {attrs: null, types: null, value: null, last: null};
+    for (const part of parts) {
+        const separator = part.indexOf('=');
+        const name = (separator === -1 ? part : part.substring(0, separator)).trim().toLowerCase();
+        const optValue = separator === -1 ? '' : part.substring(separator + 1).trim();
+        const items = optValue.split(',').map((item) => item.trim()).filter(Boolean);
+        switch (allowed.includes(name) ? name : '') {
+        case 'attr':
+            filter.attrs = items.map(parseEventAttr);
+            break;
+        case 'type':
+            filter.types = items.map((item) => item.toLowerCase());
+            for (const type of filter.types) {
+                if (!TIMELINE_TYPES.includes(type)) {
+                    throw new Error(`Unknown event type "${type}". Valid: ${TIMELINE_TYPES.join(', ')}`);
+                }
+            }
+            break;
+        case 'value':
+            if (!optValue) {
+                throw new Error('Empty value filter');
+            }
+            filter.value = optValue;
+            break;
+        case 'last': {
+            filter.last = Number(optValue);
+            if (!Number.isInteger(filter.last) || filter.last < 1) {
+                throw new Error(`Invalid last: "${optValue}" (number of entries)`);
+            }
+            break;
+        }
+        default:
+            throw new Error(`Unknown filter "${part}". Use ${allowed.map((option) => FILTER_USAGE[option]).join(', ')}`);
+        }
+    }
+    return filter;
+}
+
+function filterTimeline(ieeeAddr, filter) {
+    const timeline = timelines.get(ieeeAddr);
+    let events = timeline ? timeline.events : [];
+    if (filter.attrs) events = events.filter((event) => filter.attrs.includes(event.attr));
+    if (filter.types) events = events.filter((event) => filter.types.includes(event.type));
+    if (filter.last) events = events.slice(-filter.last);
+    return events;
+}
+
+// Report statistics per device and attribute, for everything the listener hears:
+// Map ieeeAddr → Map "ep/cluster/attr" → {ep, cluster, attr, label, count, first,
+// last, intervals, min, max, values, lastValue, lastChange, changes}. In memory only.
+const reportStats = new Map();
+const REPORT_STATS_INTERVALS = 20;
+const REPORT_STATS_VALUES = 16;
+
+function recordReportStats(ieeeAddr, report) {
+    if (!ieeeAddr) return;
+    if (!reportStats.has(ieeeAddr)) {
+        reportStats.set(ieeeAddr, new Map());
+    }
+    const stats = reportStats.get(ieeeAddr);
+    const statsKey = `${report.ep}/${report.cluster}/${report.attr}`;
+    const now = Date.now();
+    let entry = stats.get(statsKey);
+    if (!entry) {
+        entry = {
+            ep: report.ep, cluster: report.cluster, attr: report.attr, label: report.label,
+            count: 0, first: now, last: null, intervals: [], min: null, max: null,
+            values: new Map(), lastValue: undefined, lastChange: null, changes: 0,
+        };
+        stats.set(statsKey, entry);
+    }
+
+    if (entry.last !== null) {
+        entry.intervals.push(now - entry.last);
+        if (entry.intervals.length > REPORT_STATS_INTERVALS) entry.intervals.shift();
+    }
+    entry.count++;
+    entry.last = now;
+
+    const value = typeof report.value === 'bigint' ? Number(report.value) : report.value;
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        entry.min = entry.min === null ? value : Math.min(entry.min, value);
+        entry.max = entry.max === null ? value : Math.max(entry.max, value);
+    }
+    // Distinct values are counted by how they're displayed; past the limit only known ones are counted
+    if (entry.values.has(report.formatted) || entry.values.size < REPORT_STATS_VALUES) {
+        entry.values.set(report.formatted, (entry.values.get(report.formatted) || 0) + 1);
+    } else {
+        entry.moreValues = true;
+    }
+    if (entry.count > 1 && report.formatted !== entry.lastValue) {
+        entry.changes++;
+        entry.lastChange = now;
+    }
+    entry.lastValue = report.formatted;
+}
+
+// Median report interval and whether the attribute looks periodic: at least 3
+// intervals, all within 20% (or 2 s) of the median
+function reportInterval(intervals) {
+    if (intervals.length === 0) return null;
+    const sorted = [...intervals].sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+    const tolerance = Math.max(median * 0.2, 2000);
+    const periodic = intervals.length >= 3 && intervals.every((ms) => Math.abs(ms - median) <= tolerance);
+    return {median, periodic};
+}
+
+function formatReportStats(entry) {
+    const interval = reportInterval(entry.intervals);
+    let pattern;
+    if (!interval) {
+        pattern = 'interval unknown (1 report)';
+    } else if (interval.periodic) {
+        pattern = `periodic, every ~${formatDuration(interval.median)}`;
+    } else {
+        pattern = `${entry.intervals.length < 3 ? 'too few reports to tell' : 'irregular (event-driven)'}, median interval ${formatDuration(interval.median)}`;
+    }
+    const values = [...entry.values.entries()].map(([shown, count]) => `${shown} ×${count}`).join(', ');
+    const lines = [
+        `EP${entry.ep} ${entry.cluster} ${entry.label}`,
+        `  ${entry.count} report${entry.count === 1 ? '' : 's'}, first ${timestampMs(entry.first)}, last ${timestampMs(entry.last)}`,
+        `  ${pattern}`,
+    ];
+    if (entry.min !== null) {
+        lines.push(`  min ${entry.min}, max ${entry.max}`);
+    }
+    lines.push(`  ${entry.values.size}${entry.moreValues ? '+' : ''} distinct: ${values}${entry.moreValues ? ', ...' : ''}`);
+    lines.push(entry.lastChange === null ? '  never changed' : `  last change ${timestampMs(entry.lastChange)} (${entry.changes} changes)`);
+    return lines.join('\n');
+}
+
+// Stats for the attributes in `query` ("0515,dp2"; empty for all), most reported first
+function reportStatsText(ieeeAddr, query) {
+    const attrs = query ? query.split(',').map((item) => item.trim()).filter(Boolean).map(parseEventAttr) : null;
+    const stats = [...(reportStats.get(ieeeAddr) || new Map()).values()]
+        .filter((entry) => !attrs || attrs.includes(entry.attr))
+        .sort((a, b) => b.count - a.count);
+    if (stats.length === 0) {
+        return query ? `No reports seen for ${query}` : 'No reports seen yet';
+    }
+    const header = `${stats.length} attributes${query ? ` (${query})` : ''}`;
+    return `${header}\n\n${stats.map(formatReportStats).join('\n\n')}`;
+}
+
+// What reads, writes, reports and discovery showed about each attribute, for
+// generate_converter: Map ieeeAddr → Map "ep/cluster/attrId" → {ep, cluster,
+// attrId, manufacturerCode, type, readable, writable, reportable, reporting}.
+// Unknown properties stay undefined. In memory only.
+const attrObservations = new Map();
+
+function observeAttr(ieeeAddr, ep, cluster, attrId, facts) {
+    if (!ieeeAddr || attrId === null) return;
+    if (!attrObservations.has(ieeeAddr)) {
+        attrObservations.set(ieeeAddr, new Map());
+    }
+    const observations = attrObservations.get(ieeeAddr);
+    const obsKey = `${ep}/${clusterName(cluster)}/${attrId}`;
+    const entry = observations.get(obsKey) || {ep, cluster, attrId};
+    for (const [name, value] of Object.entries(facts)) {
+        if (value !== undefined) entry[name] = value;
+    }
+    observations.set(obsKey, entry);
+}
+
+// Writes one attribute and records it on the device's timeline. The event is
+// recorded before sending, since a report can arrive before the write response.
+async function writeAttr(endpoint, target, attrId, value, type) {
+    const event = recordTimeline(endpoint.deviceIeeeAddress, {
+        type: 'write',
+        ep: endpoint.ID,
+        cluster: clusterName(target.cluster),
+        attr: attrHexStr(attrId),
+        text: `${attrLabel(attrId, target.cluster)} ← ${dataTypeName(type)} ${formatAttrValue(target.cluster, attrId, value, false)}`,
+    });
+    try {
+        await endpoint.write(
+            target.cluster,
+            {[attrId]: {value, type}},
+            {manufacturerCode: target.manufacturerCode, disableDefaultResponse: false},
+        );
+    } catch (error) {
+        event.failed = true;
+        event.text += ` ✗ ${error.message}`;
+        if (/READ_ONLY/.test(error.message)) {
+            observeAttr(endpoint.deviceIeeeAddress, endpoint.ID, target.cluster, attrId, {writable: false});
+        }
+        throw error;
+    }
+    observeAttr(endpoint.deviceIeeeAddress, endpoint.ID, target.cluster, attrId, {
+        type, writable: true, manufacturerCode: target.manufacturerCode,
+    });
+}
+
+// Path of a file in the Zigbee2MQTT data directory. Z2M uses ZIGBEE2MQTT_DATA, or else
+// data/ in its install directory. That is where the script Node was started with
+// (Z2M's index.js or cli.js) lives; the working directory is only a last resort.
+function dataFilePath(fileName) {
+    const installDir = process.argv[1] ? path.dirname(path.resolve(process.argv[1])) : process.cwd();
+    const dataDir = process.env.ZIGBEE2MQTT_DATA || path.join(installDir, 'data');
+    return path.resolve(dataDir, fileName);
+}
+
+// Reads a JSON file, or returns {} if it doesn't exist yet
+function readJsonFile(file) {
+    if (!fs.existsSync(file)) {
+        return {};
+    }
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`${file} is not valid JSON: ${error.message}`);
+    }
+}
+
+function writeJsonFile(file, data) {
+    // Write to a temp file first so a crash can't leave a truncated file
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpFile, file);
+}
+
+// Snapshot store layout: {"0x00158d...": {"snap1": {cluster, manufacturerCode,
+// spec, timestamp, model, endpoints: {"1": {"0515": {raw, formatted}}}}, ...}, ...}
+function snapshotStorePath() {
+    if (!SNAPSHOT_STORE_FILE) {
+        throw new Error('Snapshot store disabled (SNAPSHOT_STORE_FILE is empty)');
+    }
+    return dataFilePath(SNAPSHOT_STORE_FILE);
+}
+
+function readSnapshotStore() {
+    return readJsonFile(snapshotStorePath());
+}
+
+function writeSnapshotStore(store) {
+    writeJsonFile(snapshotStorePath(), store);
+}
+
+function getDeviceSnapshots(ieeeAddr) {
+    const snapshots = readSnapshotStore()[ieeeAddr] || {};
+    return Object.fromEntries(Object.entries(snapshots).map(([name, snapshot]) => [name, normalizeSnapshot(snapshot)]));
+}
+
+// Saves a snapshot under `name`, or under the next free "snapN" name. Returns the name.
+function saveSnapshot(ieeeAddr, name, snapshot) {
+    const store = readSnapshotStore();
+    const snapshots = store[ieeeAddr] || {};
+    let saveName = name;
+    if (!saveName) {
+        const numbers = Object.keys(snapshots).map((n) => /^snap(\d+)$/.exec(n)).filter(Boolean).map((m) => Number(m[1]));
+        saveName = `snap${Math.max(0, ...numbers) + 1}`;
+    }
+    store[ieeeAddr] = {...snapshots, [saveName]: snapshot};
+    writeSnapshotStore(store);
+    return saveName;
+}
+
+function deleteSnapshot(ieeeAddr, name) {
+    const store = readSnapshotStore();
+    if (!store[ieeeAddr] || !store[ieeeAddr][name]) {
+        return false;
+    }
+    delete store[ieeeAddr][name];
+    if (Object.keys(store[ieeeAddr]).length === 0) {
+        delete store[ieeeAddr];
+    }
+    writeSnapshotStore(store);
+    return true;
+}
+
+function parseSnapshotName(str) {
+    const name = str.trim();
+    if (!/^[A-Za-z0-9_.-]{1,64}$/.test(name)) {
+        throw new Error(`Invalid snapshot name "${name}" (letters, digits, _ . - only)`);
+    }
+    return name;
+}
+
+// Snapshots from before multi-endpoint specs held one range on one endpoint:
+// {endpoint, rangeStart, rangeEnd, attributes}. Converts those to the current
+// {spec, endpoints} form and checks the structure of anything imported.
+function normalizeSnapshot(snapshot) {
+    if (snapshot && snapshot.endpoints && typeof snapshot.endpoints === 'object' && typeof snapshot.spec === 'string') {
+        return snapshot;
+    }
+    if (snapshot && snapshot.attributes && snapshot.rangeStart !== undefined && snapshot.rangeEnd !== undefined) {
+        const {endpoint, rangeStart, rangeEnd, attributes, ...rest} = snapshot;
+        const ep = endpoint || 1;
+        const ids = [];
+        for (let id = rangeStart; id <= rangeEnd; id++) ids.push(id);
+        return {...rest, spec: formatEndpointAttrSpec([{ep, ids}]), endpoints: {[ep]: attributes}};
+    }
+    throw new Error('Invalid snapshot format. Expected {spec, endpoints} (or {attributes, rangeStart, rangeEnd, endpoint})');
+}
+
+// Stored/exported form of the snapshot currently held in state, or null
+function snapshotFromState(meta) {
+    const state = meta.state || {};
+    if (!state.snapshot_data) {
+        return null;
+    }
+    const snapTarget = getSnapshotTarget(meta);
+    const snapshot = {
+        cluster: clusterName(snapTarget.cluster),
+        manufacturerCode: snapTarget.manufacturerCode ?? null,
+        timestamp: state.snapshot_timestamp || timestamp(),
+    };
+    if (state.snapshot_spec === undefined) {
+        // State persisted by an older version of the tool
+        if (state.snapshot_start === undefined) return null;
+        return normalizeSnapshot({
+            ...snapshot,
+            endpoint: state.snapshot_ep,
+            rangeStart: state.snapshot_start,
+            rangeEnd: state.snapshot_end,
+            attributes: state.snapshot_data,
+        });
+    }
+    return {...snapshot, spec: state.snapshot_spec, endpoints: state.snapshot_data};
+}
+
+// State fields that make a stored/exported snapshot the current one
+function snapshotToState(snapshot, name) {
+    const snapCluster = snapshot.cluster !== undefined ? parseClusterKey(snapshot.cluster) : null;
+    return {
+        snapshot_name: name,
+        snapshot_data: snapshot.endpoints,
+        snapshot_spec: snapshot.spec,
+        snapshot_timestamp: snapshot.timestamp,
+        snapshot_target: {
+            cluster: snapCluster ?? TARGET_CLUSTER,
+            manufacturerCode: snapshot.manufacturerCode === undefined ? manufacturerCode : (snapshot.manufacturerCode ?? undefined),
+        },
+        // Single-range fields from older versions
+        snapshot_start: undefined,
+        snapshot_end: undefined,
+        snapshot_ep: undefined,
+    };
+}
+
+// [{ep, id, key, entry}] for every attribute in a snapshot, ordered by endpoint and ID
+function snapshotEntries(snapshot) {
+    return Object.entries(snapshot.endpoints)
+        .flatMap(([ep, attributes]) => Object.entries(attributes).map(([key, entry]) => ({ep: Number(ep), id: Number.parseInt(key, 16), key, entry})))
+        .sort((a, b) => a.ep - b.ep || a.id - b.id);
+}
+
+// Attribute label, prefixed with the endpoint when more than one is involved
+function snapshotAttrLabel(ep, id, multiEp, cluster) {
+    return multiEp ? `EP${ep} ${attrLabel(id, cluster)}` : attrLabel(id, cluster);
+}
+
+function snapshotDetail(snapshot) {
+    const multiEp = Object.keys(snapshot.endpoints).length > 1;
+    const {cluster} = snapshotToState(snapshot).snapshot_target;
+    return snapshotEntries(snapshot)
+        .map(({ep, id, entry}) => `  ${snapshotAttrLabel(ep, id, multiEp, cluster)} = ${entry.formatted}`)
+        .join('\n');
+}
+
+// Saves to the snapshot store without failing the snapshot itself: a store
+// problem only shows up as a note in the result
+function saveSnapshotNote(device, name, snapshot) {
+    if (!SNAPSHOT_STORE_FILE) {
+        return {name, note: ''};
+    }
+    try {
+        const saved = saveSnapshot(device.ieeeAddr, name, snapshot);
+        return {name: saved, note: ` (saved as "${saved}")`};
+    } catch (error) {
+        console.error(`[ATTR-TOOL] Snapshot not saved: ${error.message}`);
+        return {name, note: ` (not saved: ${error.message})`};
+    }
+}
+
+// Buffers come back from JSON as {type: 'Buffer', data: [...]}
+function reviveSnapshotValue(raw) {
+    if (raw && raw.type === 'Buffer' && Array.isArray(raw.data)) {
+        return Buffer.from(raw.data);
+    }
+    return raw;
+}
+
+// Offline diff of two (before → after) or three (baseline, A, B) stored snapshots.
+// `named` is [{name, snapshot}, ...]. Values are compared raw, so the raw_hex
+// setting at capture time doesn't matter.
+function diffSnapshots(named, rawHex) {
+    const [base] = named;
+    const threeWay = named.length === 3;
+    const clusters = named.map((n) => snapshotToState(n.snapshot).snapshot_target.cluster);
+
+    // Union of endpoint/attribute pairs across all snapshots
+    const slots = new Map();
+    for (const n of named) {
+        for (const {ep, id, key} of snapshotEntries(n.snapshot)) {
+            slots.set(`${ep}:${key}`, {ep, id, key});
+        }
+    }
+    const ordered = [...slots.values()].sort((a, b) => a.ep - b.ep || a.id - b.id);
+    const multiEp = new Set(ordered.map((slot) => slot.ep)).size > 1;
+
+    const changes = [];
+    let unchanged = 0;
+    for (const {ep, id, key} of ordered) {
+        const entries = named.map((n) => (n.snapshot.endpoints[ep] || {})[key]);
+        const values = entries.map((e) => (e ? JSON.stringify(e.raw) : undefined));
+        if (values.every((v) => v === values[0])) {
+            unchanged++;
+            continue;
+        }
+
+        let tag = '';
+        if (threeWay) {
+            const [baseValue, aValue, bValue] = values;
+            if (aValue === baseValue) tag = ' [B only]';
+            else if (bValue === baseValue) tag = ' [A only]';
+            else tag = aValue === bValue ? ' [A and B, same value]' : ' [A and B, different values]';
+        }
+
+        const baseTlv = entries[0] && isLumiTlvAttr(clusters[0], id) ? lumiTlvEntries(reviveSnapshotValue(entries[0].raw)) : null;
+        const lines = [`≠ ${snapshotAttrLabel(ep, id, multiEp, clusters[0])}${tag}`];
+        named.forEach((n, i) => {
+            const entry = entries[i];
+            if (!entry) {
+                lines.push(`    ${n.name}: (no value)`);
+                return;
+            }
+            const value = reviveSnapshotValue(entry.raw);
+            const tlv = baseTlv && i > 0 ? lumiTlvEntries(value) : null;
+            if (tlv) {
+                const tagChanges = diffLumiTlv(baseTlv, tlv, rawHex);
+                lines.push(`    ${n.name} vs ${base.name}: ${tagChanges.length > 0 ? `${tagChanges.length} tags changed\n${tagChanges.map((l) => `  ${l}`).join('\n')}` : 'same'}`);
+            } else {
+                // Also when this snapshot's value doesn't parse as TLV although the base's does
+                lines.push(`    ${n.name}: ${formatAttrValue(clusters[i], id, value, rawHex)}`);
+            }
+        });
+        changes.push(lines.join('\n'));
+    }
+
+    const targets = new Set(named.map((n) => `${n.snapshot.cluster}|${n.snapshot.manufacturerCode}`));
+    const notes = targets.size > 1 ? ['Note: snapshots were taken on different clusters/manufacturer codes'] : [];
+    return {changes, unchanged, notes};
+}
+
+function snapshotSummary(snapshot) {
+    const snapState = snapshotToState(snapshot);
+    const count = snapshotEntries(snapshot).length;
+    const taken = snapshot.timestamp ? `, taken ${snapshot.timestamp}` : '';
+    return `${targetLabel(snapState.snapshot_target)} ${snapshot.spec}, ${count} attrs${taken}`;
+}
+
+// ============================================================================
+// SCAN JOBS — background scans, one per device, checkpointed to SCAN_JOB_FILE
+// ============================================================================
+//
+// A job reads every ID in its spec outside the MQTT request. Progress goes out
+// through the publish function of the last request that touched the job.
+// Checkpoint layout: {"0x00158d...": {spec, target, nextIndex, hits, counts, ...}}
+
+const scanJobs = new Map();
+
+// How often a running job publishes progress and writes its checkpoint
+const SCAN_JOB_UPDATE_MS = 5000;
+
+function readScanCheckpoints() {
+    return SCAN_JOB_FILE ? readJsonFile(dataFilePath(SCAN_JOB_FILE)) : {};
+}
+
+function saveScanCheckpoint(job) {
+    if (!SCAN_JOB_FILE) return;
+    try {
+        const checkpoints = readScanCheckpoints();
+        checkpoints[job.ieeeAddr] = {
+            spec: job.spec,
+            target: {cluster: clusterName(job.target.cluster), manufacturerCode: job.target.manufacturerCode ?? null},
+            rawHex: job.rawHex,
+            read: job.read,
+            status: job.status,
+            total: job.total,
+            nextIndex: job.nextIndex,
+            hits: job.hits,
+            counts: job.counts,
+            startedAt: job.startedAt,
+            elapsedMs: job.elapsedMs,
+        };
+        writeJsonFile(dataFilePath(SCAN_JOB_FILE), checkpoints);
+    } catch (error) {
+        console.error(`[ATTR-TOOL] Scan job checkpoint failed: ${error.message}`);
+    }
+}
+
+function removeScanCheckpoint(ieeeAddr) {
+    if (!SCAN_JOB_FILE) return;
+    try {
+        const checkpoints = readScanCheckpoints();
+        if (checkpoints[ieeeAddr]) {
+            delete checkpoints[ieeeAddr];
+            writeJsonFile(dataFilePath(SCAN_JOB_FILE), checkpoints);
+        }
+    } catch (error) {
+        console.error(`[ATTR-TOOL] Scan job checkpoint cleanup failed: ${error.message}`);
+    }
+}
+
+// Rebuilds an in-memory job from its checkpoint, or returns null
+function loadScanCheckpoint(ieeeAddr) {
+    const saved = readScanCheckpoints()[ieeeAddr];
+    if (!saved) {
+        return null;
+    }
+    const cluster = parseClusterKey(saved.target.cluster);
+    return {
+        ...saved,
+        // Checkpoints from before timeouts were counted separately
+        counts: {found: 0, ...newFailureCounts(), ...saved.counts},
+        ieeeAddr,
+        target: {cluster: cluster ?? TARGET_CLUSTER, manufacturerCode: saved.target.manufacturerCode ?? undefined},
+        publish: null,
+        loopActive: false,
+        stopped: false,
+    };
+}
+
+// The (endpoint, attribute) pair at a position in a job's flattened spec
+function scanJobSlot(groups, index) {
+    let offset = index;
+    for (const {ep, ids} of groups) {
+        if (offset < ids.length) {
+            return {ep, id: ids[offset]};
+        }
+        offset -= ids.length;
+    }
+    return null;
+}
+
+function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = seconds % 60;
+    if (h > 0) return `${h}h ${m}m`;
+    if (m > 0) return `${m}m ${s}s`;
+    return `${s}s`;
+}
+
+function scanJobState(job) {
+    const percent = job.total > 0 ? ((job.nextIndex / job.total) * 100).toFixed(1) : '100.0';
+    let eta = '';
+    if (job.status === 'running' && job.loopActive) {
+        const done = job.nextIndex - job.runStartIndex;
+        const elapsed = Date.now() - job.runStartedAt;
+        eta = done > 0 ? `, ETA ${formatDuration(((job.total - job.nextIndex) * elapsed) / done)}` : ', ETA calculating';
+    }
+    const progress = `${job.status} ${percent}% (${job.nextIndex}/${job.total}), ${job.counts.found} hits, ${formatFailureCounts(job.counts)}${eta}`;
+
+    const multiEp = new Set(job.hits.map((hit) => hit.ep)).size > 1 || job.spec.includes(';');
+    const lines = [...job.hits]
+        .sort((a, b) => a.ep - b.ep || a.id - b.id)
+        .map((hit) => `${snapshotAttrLabel(hit.ep, hit.id, multiEp, job.target.cluster)} = ${hit.formatted}`);
+    const header = `${targetLabel(job.target)} ${job.spec}, started ${job.startedAt}: ${progress}`;
+
+    return {
+        scan_progress: `${progress} — ${targetLabel(job.target)} ${job.spec}`,
+        scan_job_result: lines.length > 0 ? `${header}\n\n${lines.join('\n')}` : header,
+    };
+}
+
+function publishScanJob(job) {
+    if (!job.publish) return;
+    try {
+        job.publish(scanJobState(job));
+    } catch (error) {
+        console.error(`[ATTR-TOOL] Scan job publish failed: ${error.message}`);
+    }
+}
+
+// A newer job has replaced this one (cancel, then start). The old loop may still
+// be waiting on a read and must not touch the new job's checkpoint or state.
+function scanJobSuperseded(job) {
+    return scanJobs.has(job.ieeeAddr) && scanJobs.get(job.ieeeAddr) !== job;
+}
+
+// Reads from job.nextIndex until the job finishes, is paused or cancelled, or
+// Z2M stops. Never throws: a failed read only counts as an error, anything else
+// (e.g. a damaged checkpoint) fails the job.
+async function runScanJob(job, device) {
+    try {
+        await scanJobLoop(job, device);
+    } catch (error) {
+        job.loopActive = false;
+        if (scanJobSuperseded(job)) return;
+        job.status = 'failed';
+        console.error(`[ATTR-TOOL] Scan job failed: ${error.message}`);
+        finishScanJob(job);
+    }
+}
+
+async function scanJobLoop(job, device) {
+    const groups = parseEndpointAttrSpec(job.spec, 1);
+    // Checkpoints from before read settings were saved use the defaults
+    const pacer = createPacer(job.read);
+    job.loopActive = true;
+    job.runStartedAt = Date.now();
+    job.runStartIndex = job.nextIndex;
+    let lastUpdate = Date.now();
+    saveScanCheckpoint(job);
+    publishScanJob(job);
+
+    while (job.nextIndex < job.total && job.status === 'running' && !job.stopped && !scanJobSuperseded(job)) {
+        const slot = scanJobSlot(groups, job.nextIndex);
+        if (!slot) {
+            throw new Error(`Checkpoint doesn't match its spec (${job.total} attrs, ${job.spec})`);
+        }
+        const {ep, id} = slot;
+        try {
+            const endpoint = device.getEndpoint(ep);
+            if (!endpoint) {
+                throw new Error(`Endpoint ${ep} not found on device`);
+            }
+            const result = await readOneAttr(endpoint, id, job.target, pacer);
+            if (result.ok) {
+                const formatted = formatAttrValue(job.target.cluster, id, result.value, job.rawHex);
+                job.hits.push({ep, id, formatted});
+                job.counts.found++;
+                console.log(`[ATTR-TOOL] Scan job: ✓ EP${ep} ${attrLabel(id, job.target.cluster)} = ${formatted}`);
+            } else {
+                job.counts.unsupported++;
+            }
+        } catch (error) {
+            countFailure(job.counts, error);
+        }
+        job.nextIndex++;
+
+        if (Date.now() - lastUpdate >= SCAN_JOB_UPDATE_MS && !scanJobSuperseded(job)) {
+            lastUpdate = Date.now();
+            saveScanCheckpoint(job);
+            publishScanJob(job);
+        }
+
+        // Pause between reads to avoid flooding
+        await pacerWait(pacer);
+    }
+
+    job.loopActive = false;
+    job.elapsedMs += Date.now() - job.runStartedAt;
+    if (scanJobSuperseded(job)) {
+        return;
+    }
+    if (job.stopped) {
+        // Z2M is stopping: keep the checkpoint as "running" so the job resumes on start
+        saveScanCheckpoint(job);
+        return;
+    }
+    if (job.status === 'running') {
+        job.status = 'done';
+        console.log(`[ATTR-TOOL] Scan job done in ${formatDuration(job.elapsedMs)}: ${job.counts.found} hits`);
+    }
+    finishScanJob(job);
+}
+
+// Saves or removes the checkpoint after the loop ends, and publishes the result.
+// A job resumed on startup has no publish function until the device sends a
+// message, so its finished checkpoint is kept until the result is out.
+function finishScanJob(job) {
+    if (job.status === 'paused' || !job.publish) {
+        saveScanCheckpoint(job);
+    } else {
+        removeScanCheckpoint(job.ieeeAddr);
+    }
+    publishScanJob(job);
+}
+
+// Gives a job resumed on startup the publish function of the device's latest
+// message, and publishes what it would have published without one
+function noteScanJobPublisher(ieeeAddr, publish) {
+    const job = scanJobs.get(ieeeAddr);
+    if (!job || job.publish || !publish) return;
+    job.publish = publish;
+    publishScanJob(job);
+    if (['done', 'cancelled', 'failed'].includes(job.status)) {
+        removeScanCheckpoint(ieeeAddr);
+    }
+}
+
+// ============================================================================
+// WATCH — poll attributes that never report and log their changes
+// ============================================================================
+//
+// A watch re-reads its attributes on a timer, outside the MQTT request, and
+// adds a report log entry marked [polled] whenever a value changes. Like scan
+// jobs, it publishes through the last request that touched it.
+
+const watches = new Map();
+
+// Poll interval when none is given, the shortest one allowed, and the most
+// attributes one watch may poll
+const WATCH_DEFAULT_MS = 10000;
+const WATCH_MIN_MS = 1000;
+const WATCH_MAX_ATTRIBUTES = 32;
+
+// "5s", "500ms", "2m" or plain seconds → ms
+function parseWatchInterval(text) {
+    const match = text.toLowerCase().match(/^(\d+(?:\.\d+)?)(ms|s|m)?$/);
+    if (!match) {
+        throw new Error(`Invalid interval: "${text}" (e.g. "5s", "500ms", "2m")`);
+    }
+    const ms = Math.round(Number(match[1]) * {ms: 1, s: 1000, m: 60000}[match[2] || 's']);
+    if (ms < WATCH_MIN_MS) {
+        throw new Error(`Interval ${ms}ms is too short. Min ${WATCH_MIN_MS}ms.`);
+    }
+    return ms;
+}
+
+// "0515,0516,0530:every=5s" → {ids, everyMs}
+function parseWatchSpec(spec) {
+    const [attrStr, ...options] = spec.split(':').map((p) => p.trim());
+    if (!attrStr) {
+        throw new Error('Format: "ATTRS[:every=INTERVAL]" (e.g. "0515,0516:every=5s")');
+    }
+    const ids = parseAttrList(attrStr);
+    if (ids.length > WATCH_MAX_ATTRIBUTES) {
+        throw new Error(`Too many attributes (${ids.length}). Max ${WATCH_MAX_ATTRIBUTES} per watch.`);
+    }
+    let everyMs = WATCH_DEFAULT_MS;
+    for (const option of options) {
+        const [name, optValue] = option.split('=').map((p) => p.trim());
+        if (name === 'every' && optValue) {
+            everyMs = parseWatchInterval(optValue);
+        } else {
+            throw new Error(`Unknown watch option "${option}" (use every=INTERVAL)`);
+        }
+    }
+    return {ids, everyMs};
+}
+
+function deviceWatches(ieeeAddr) {
+    if (!watches.has(ieeeAddr)) {
+        watches.set(ieeeAddr, {nextId: 1, list: []});
+    }
+    return watches.get(ieeeAddr);
+}
+
+function watchStatusText(ieeeAddr) {
+    const {list} = deviceWatches(ieeeAddr);
+    if (list.length === 0) {
+        return 'No watches running';
+    }
+    const lines = [`${list.length} watch(es) running`];
+    for (const watch of list) {
+        lines.push('', `#${watch.id} EP${watch.ep} ${targetLabel(watch.target)} every ${formatDuration(watch.everyMs)}, ` +
+            `since ${watch.startedAt}: ${watch.polls} polls, ${watch.changes} changes, ${formatFailureCounts(watch.counts)}`);
+        for (const id of watch.ids) {
+            const failure = watch.failures.get(id);
+            lines.push(`  ${attrLabel(id, watch.target.cluster)} = ${watch.values.get(id) ?? (failure ? `(${failure})` : '(not read yet)')}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+function publishWatch(watch, update) {
+    if (!watch.publish) return;
+    try {
+        watch.publish(update);
+    } catch (error) {
+        console.error(`[ATTR-TOOL] Watch publish failed: ${error.message}`);
+    }
+}
+
+// Reads every attribute of the watch once. A failed read only counts.
+// The first successful read of an attribute is its baseline, not a change.
+async function pollWatch(watch, device) {
+    const changes = [];
+    for (const id of watch.ids) {
+        if (watch.stopped) return;
+        try {
+            const endpoint = device.getEndpoint(watch.ep);
+            if (!endpoint) {
+                throw new Error(`Endpoint ${watch.ep} not found on device`);
+            }
+            const result = await readOneAttr(endpoint, id, watch.target, watch.pacer, {timeline: false});
+            if (result.ok) {
+                const formatted = formatAttrValue(watch.target.cluster, id, result.value, watch.rawHex);
+                const previous = watch.values.get(id);
+                watch.values.set(id, formatted);
+                watch.failures.delete(id);
+                if (previous !== undefined && previous !== formatted) {
+                    changes.push({id, previous, formatted});
                 }
+            } else {
+                watch.counts.failed++;
+                watch.failures.set(id, result.error);
+            }
+        } catch (error) {
+            const kind = countFailure(watch.counts, error);
+            watch.failures.set(id, kind === 'unsupported' ? 'not supported' : kind === 'timeout' ? 'timeout' : error.message);
+        }
+        await pacerWait(watch.pacer);
+    }
+    watch.polls++;
+    if (changes.length === 0 || watch.stopped) return;
+
+    const entries = changes.map(({id, previous, formatted}) => {
+        const text = `${attrLabel(id, watch.target.cluster)} = ${formatted} (was ${previous}) [polled]`;
+        console.log(`[ATTR-TOOL] 🔁 Polled: EP${watch.ep} ${targetLabel(watch.target)} ${text}`);
+        recordTimeline(watch.ieeeAddr, {type: 'read', ep: watch.ep, cluster: clusterName(watch.target.cluster), attr: attrHexStr(id), text});
+        return {attr: attrHexStr(id), value: formatted, text: `EP${watch.ep} ${targetLabel(watch.target)} ${text}`};
+    });
+    watch.changes += entries.length;
+    publishWatch(watch, {...appendReportLog({device}, entries), watch_status: watchStatusText(watch.ieeeAddr)});
+}
+
+// Polls now and then every everyMs (measured from the start of each poll)
+function scheduleWatch(watch, device, delay) {
+    watch.timer = setTimeout(async () => {
+        const started = Date.now();
+        try {
+            await pollWatch(watch, device);
+        } catch (error) {
+            // Runs on a timer, so nothing else would catch it; keep polling
+            console.log(`[ATTR-TOOL] Watch #${watch.id} poll failed: ${error.message}`);
+        }
+        if (!watch.stopped) {
+            scheduleWatch(watch, device, Math.max(0, watch.everyMs - (Date.now() - started)));
+        }
+    }, delay);
+}
+
+function stopWatch(watch) {
+    watch.stopped = true;
+    clearTimeout(watch.timer);
+    console.log(`[ATTR-TOOL] Watch #${watch.id} stopped after ${watch.polls} polls, ${watch.changes} changes`);
+}
+
+// ============================================================================
+// AUTO-SCAN — read AUTO_SCAN_ATTRIBUTES on startup and every
+// AUTO_SCAN_INTERVAL_MIN, diffed against the previous run
+// ============================================================================
+//
+// onEvent has no publish function, so results go out through the one of the
+// device's latest message (or wait for the next one).
+// Results file layout: {"0x00158d...": {timestamp, spec, target, firmware,
+// endpoints: {"1": {"0515": "5 (0x5)", "0516": null}}}}, null = not readable
+
+const autoScans = new Map();
+
+function getAutoScan(ieeeAddr) {
+    if (!autoScans.has(ieeeAddr)) {
+        autoScans.set(ieeeAddr, {publish: null, pending: null, state: {}, timer: null, running: false, stopped: false});
+    }
+    return autoScans.get(ieeeAddr);
+}
+
+// AUTO_SCAN_ATTRIBUTES as endpoint groups, or null when auto-scan is off
+function autoScanGroups() {
+    const spec = [].concat(AUTO_SCAN_ATTRIBUTES).map((item) => item.toString().trim()).filter(Boolean).join(';');
+    return spec ? parseEndpointAttrSpec(spec, AUTO_SCAN_ENDPOINT) : null;
+}
+
+function readAutoScanResults() {
+    return AUTO_SCAN_FILE ? readJsonFile(dataFilePath(AUTO_SCAN_FILE)) : {};
+}
+
+function saveAutoScanResults(ieeeAddr, run) {
+    if (!AUTO_SCAN_FILE) return;
+    try {
+        const results = readAutoScanResults();
+        results[ieeeAddr] = run;
+        writeJsonFile(dataFilePath(AUTO_SCAN_FILE), results);
+    } catch (error) {
+        console.error(`[ATTR-TOOL] Auto-scan: results not saved: ${error.message}`);
+    }
+}
+
+function noteAutoScanPublisher(ieeeAddr, publish, state) {
+    const scan = autoScans.get(ieeeAddr);
+    if (!scan || !publish) return;
+    scan.publish = publish;
+    if (state) scan.state = state;
+    if (scan.pending) {
+        publishAutoScan(scan, scan.pending);
+    }
+}
+
+// The cluster fields change state without a device message; scheduled runs see it right away
+function noteAutoScanSettings(entity, meta, update) {
+    const device = entity.getDevice ? entity.getDevice() : entity;
+    const scan = autoScans.get(device.ieeeAddr);
+    if (scan) scan.state = {...((meta && meta.state) || scan.state), ...update};
+}
+
+function publishAutoScan(scan, text) {
+    if (!scan.publish) {
+        scan.pending = text;
+        return;
+    }
+    try {
+        scan.publish({auto_scan_result: text});
+        scan.pending = null;
+    } catch (error) {
+        scan.pending = text;
+        console.error(`[ATTR-TOOL] Auto-scan publish failed: ${error.message}`);
+    }
+}
+
+// Saved targets store "no manufacturer code" as null
+function savedTargetLabel(target) {
+    return targetLabel({cluster: target.cluster, manufacturerCode: target.manufacturerCode ?? undefined});
+}
+
+function autoScanEntries(run) {
+    return Object.entries(run.endpoints).flatMap(([ep, values]) =>
+        Object.entries(values).map(([key, value]) => ({ep: Number(ep), id: Number.parseInt(key, 16), key, value})));
+}
+
+// Summary line and the differences from the previous run
+function autoScanSummaryLines(run, previous, counts, reason) {
+    const multiEp = Object.keys(run.endpoints).length > 1;
+    const cluster = parseClusterKey(run.target.cluster);
+    const entries = autoScanEntries(run);
+    const read = entries.filter((entry) => entry.value !== null).length;
+    const lines = [`Auto-scan (${reason}) ${run.timestamp} ${savedTargetLabel(run.target)} ${run.spec}: ` +
+        `${read}/${entries.length} read, ${formatFailureCounts(counts)}`];
+
+    if (!previous) {
+        lines.push(AUTO_SCAN_FILE ? 'No previous run to compare with' : 'Not compared (AUTO_SCAN_FILE is empty)');
+    } else if (savedTargetLabel(previous.target) !== savedTargetLabel(run.target)) {
+        lines.push(`Not compared: the previous run (${previous.timestamp}) read ${savedTargetLabel(previous.target)}`);
+    } else {
+        const changed = [];
+        const appeared = [];
+        const disappeared = [];
+        for (const {ep, id, key, value} of entries) {
+            const before = previous.endpoints[ep] && previous.endpoints[ep][key];
+            if (before === undefined || before === value) continue;
+            const label = snapshotAttrLabel(ep, id, multiEp, cluster);
+            if (before === null) appeared.push(`  ${label} = ${value}`);
+            else if (value === null) disappeared.push(`  ${label} (was ${before})`);
+            else changed.push(`  ${label}: ${before} → ${value}`);
+        }
+        lines.push(`Compared with ${previous.timestamp}: ${changed.length} changed, ` +
+            `${appeared.length} now readable, ${disappeared.length} no longer readable`);
+        if ((previous.firmware || '') !== (run.firmware || '')) {
+            lines.push(`Firmware: ${previous.firmware || 'unknown'} → ${run.firmware || 'unknown'}`);
+        }
+        if (previous.spec !== run.spec) {
+            lines.push(`Previous run: ${previous.spec} (only shared attributes compared)`);
+        }
+        if (changed.length > 0) lines.push('', 'Changed:', ...changed);
+        if (appeared.length > 0) lines.push('', 'Now readable:', ...appeared);
+        if (disappeared.length > 0) lines.push('', 'No longer readable:', ...disappeared);
+    }
+    return lines;
+}
+
+function autoScanValueLines(run) {
+    const multiEp = Object.keys(run.endpoints).length > 1;
+    const cluster = parseClusterKey(run.target.cluster);
+    return autoScanEntries(run).filter((entry) => entry.value !== null)
+        .map(({ep, id, value}) => `  ${snapshotAttrLabel(ep, id, multiEp, cluster)} = ${value}`);
+}
+
+// One pass over AUTO_SCAN_ATTRIBUTES. Never throws.
+async function runAutoScan(scan, device, reason) {
+    if (scan.running) {
+        console.log(`[ATTR-TOOL] Auto-scan (${reason}) skipped: the previous run is still going`);
+        return;
+    }
+    scan.running = true;
+    try {
+        // Resolved per run, so scheduled runs follow "cluster" and "manufacturer_code"
+        const target = getTarget({state: scan.state});
+        const groups = autoScanGroups();
+        const total = groups.reduce((sum, group) => sum + group.ids.length, 0);
+        const spec = formatEndpointAttrSpec(groups);
+        console.log(`[ATTR-TOOL] Auto-scan (${reason}): reading ${total} attributes ${spec} on ${targetLabel(target)}...`);
+
+        const run = {
+            timestamp: timestamp(),
+            spec,
+            target: {cluster: clusterName(target.cluster), manufacturerCode: target.manufacturerCode ?? null},
+            firmware: device.softwareBuildID,
+            endpoints: {},
+        };
+        const counts = newFailureCounts();
+        const pacer = createPacer(getReadSettings({state: scan.state}));
+        for (const {ep, ids} of groups) {
+            const endpoint = device.getEndpoint(ep);
+            const values = {};
+            run.endpoints[ep] = values;
+            for (const attrId of ids) {
+                if (scan.stopped) return;
+                const key = attrId.toString(16).padStart(4, '0');
+                values[key] = null;
                 try {
-                    const result = await readOneAttr(endpoint, attrId);
+                    if (!endpoint) {
+                        throw new Error(`EP${ep} not found`);
+                    }
+                    const result = await readOneAttr(endpoint, attrId, target, pacer);
                     if (result.ok) {
-                        const label = attrLabel(attrId);
-                        const formatted = formatValue(result.value, false);
-                        results.push(`${label} = ${formatted}`);
-                        console.log(`[ATTR-TOOL] Auto-scan: ✓ ${label} = ${formatted}`);
+                        values[key] = formatAttrValue(target.cluster, attrId, result.value, false);
+                        console.log(`[ATTR-TOOL] Auto-scan: ✓ EP${ep} ${attrLabel(attrId, target.cluster)} = ${values[key]}`);
+                    } else {
+                        counts.failed++;
                     }
                 } catch (error) {
-                    console.error(`[ATTR-TOOL] Auto-scan: ✗ ${attrHexStr(attrId)}: ${error.message}`);
+                    countFailure(counts, error);
+                    console.error(`[ATTR-TOOL] Auto-scan: ✗ EP${ep} ${attrHexStr(attrId)}: ${error.message}`);
+                }
+                await pacerWait(pacer);
+            }
+        }
+
+        let previous = null;
+        try {
+            previous = readAutoScanResults()[device.ieeeAddr] || null;
+        } catch (error) {
+            console.error(`[ATTR-TOOL] Auto-scan: previous results not loaded: ${error.message}`);
+        }
+        const summary = autoScanSummaryLines(run, previous, counts, reason).join('\n');
+        const values = autoScanValueLines(run);
+        saveAutoScanResults(device.ieeeAddr, run);
+        console.log(`[ATTR-TOOL] Auto-scan complete: ${summary}`);
+        publishAutoScan(scan, values.length > 0 ? `${summary}\n\nValues:\n${values.join('\n')}` : summary);
+    } catch (error) {
+        console.error(`[ATTR-TOOL] Auto-scan error: ${error.message}`);
+    } finally {
+        scan.running = false;
+    }
+}
+
+// Called on the "start" event. Not awaited: a long scan mustn't hold up Z2M's startup.
+function startAutoScan(device, state) {
+    try {
+        if (!autoScanGroups()) return;
+    } catch (error) {
+        console.error(`[ATTR-TOOL] Auto-scan: invalid AUTO_SCAN_ATTRIBUTES: ${error.message}`);
+        return;
+    }
+    stopAutoScan(device.ieeeAddr);
+    const scan = getAutoScan(device.ieeeAddr);
+    // The device state (5th onEvent argument) holds the runtime cluster settings
+    scan.state = state;
+    runAutoScan(scan, device, 'start');
+
+    if (AUTO_SCAN_INTERVAL_MIN > 0) {
+        const schedule = () => {
+            scan.timer = setTimeout(async () => {
+                await runAutoScan(scan, device, 'scheduled');
+                if (!scan.stopped) schedule();
+            }, AUTO_SCAN_INTERVAL_MIN * 60000);
+        };
+        schedule();
+    }
+}
+
+function stopAutoScan(ieeeAddr) {
+    const scan = autoScans.get(ieeeAddr);
+    if (!scan) return;
+    scan.stopped = true;
+    clearTimeout(scan.timer);
+    autoScans.delete(ieeeAddr);
+}
+
+// ============================================================================
+// DEFERRED QUEUE — hold requests for sleepy devices until they wake up
+// ============================================================================
+//
+// With queue_mode on, read/write/scan requests are stored instead of sent.
+// Any message from the device means it is awake, so the fromZigbee hooks
+// then run the stored requests through their normal handlers. Long-running
+// requests (scan jobs, sweeps, snapshots, watches) are refused instead.
+// Queue file layout: {"0x00158d...": {nextId, pending: [{id, key, value, settings,
+// queuedAt}], completed: [... plus result]}}
+
+const deferredQueues = new Map();
+
+// Requests that can wait in the queue, and the state field holding each one's result
+const QUEUE_RESULT_FIELDS = {
+    read_attribute: 'attribute_status',
+    select_attribute: 'attribute_status',
+    read_list: 'read_list_result',
+    write_attribute: 'write_result',
+    bulk_write: 'bulk_write_result',
+    scan_range: 'scan_result',
+};
+
+// How many finished requests queue_status keeps listing
+const QUEUE_COMPLETED_MAX = 20;
+
+function getDeferredQueue(ieeeAddr) {
+    if (!deferredQueues.has(ieeeAddr)) {
+        deferredQueues.set(ieeeAddr, {nextId: 1, pending: [], completed: [], flushing: false});
+    }
+    return deferredQueues.get(ieeeAddr);
+}
+
+function readQueueFile() {
+    return QUEUE_FILE ? readJsonFile(dataFilePath(QUEUE_FILE)) : {};
+}
+
+// Writes a device's queue to QUEUE_FILE, or drops its entry once it is empty
+function saveDeferredQueue(ieeeAddr, queue) {
+    if (!QUEUE_FILE) return;
+    try {
+        const queues = readQueueFile();
+        if (queue.pending.length === 0 && queue.completed.length === 0) {
+            if (!queues[ieeeAddr]) return;
+            delete queues[ieeeAddr];
+        } else {
+            // The entity object can't be stored; it is looked up again when the request runs
+            const strip = ({entity, ...item}) => item;
+            queues[ieeeAddr] = {nextId: queue.nextId, pending: queue.pending.map(strip), completed: queue.completed.map(strip)};
+        }
+        writeJsonFile(dataFilePath(QUEUE_FILE), queues);
+    } catch (error) {
+        console.error(`[ATTR-TOOL] Queue not saved: ${error.message}`);
+    }
+}
+
+// Restores a device's queue saved before a restart
+function loadDeferredQueue(ieeeAddr) {
+    const saved = readQueueFile()[ieeeAddr];
+    if (!saved || deferredQueues.has(ieeeAddr)) return;
+    deferredQueues.set(ieeeAddr, {
+        nextId: saved.nextId || 1,
+        pending: saved.pending || [],
+        completed: saved.completed || [],
+        flushing: false,
+    });
+}
+
+// Flushing sets meta.deferred, so queued requests run instead of queueing again
+function shouldDefer(meta) {
+    return !!(meta.state && meta.state.queue_mode) && !meta.deferred;
+}
+
+// For requests that read the device for longer than one wake-up
+function refuseInQueueMode(meta, what) {
+    if (shouldDefer(meta)) {
+        throw new Error(`${what} can't be queued. Turn queue_mode off and run it while the device is awake.`);
+    }
+}
+
+function queueItemLabel(item) {
+    return `#${item.id} [${item.queuedAt}] ${item.key} ${item.value} (EP${item.settings.endpoint || 1})`;
+}
+
+function queueStatusText(queue) {
+    const lines = [`${queue.pending.length} pending, ${queue.completed.length} completed`];
+    if (queue.pending.length > 0) {
+        lines.push('', 'Pending:', ...queue.pending.map((item) => `  ${queueItemLabel(item)}`));
+    }
+    if (queue.completed.length > 0) {
+        lines.push('', 'Completed:', ...queue.completed.map((item) => `  ${queueItemLabel(item)} → ${item.result}`));
+    }
+    return lines.join('\n');
+}
+
+// Stores a request and returns the state to publish in place of its result
+function deferRequest(entity, key, value, meta) {
+    const device = entity.getDevice ? entity.getDevice() : entity;
+    const queue = getDeferredQueue(device.ieeeAddr);
+    const state = meta.state || {};
+    // Settings are captured now, so changing the cluster later doesn't retarget the request
+    const item = {
+        id: queue.nextId++,
+        key,
+        value,
+        entity,
+        settings: {
+            endpoint: state.endpoint,
+            cluster: state.cluster,
+            manufacturer_code: state.manufacturer_code,
+            raw_hex: state.raw_hex,
+            dry_run: state.dry_run,
+        },
+        queuedAt: timestamp(),
+    };
+    queue.pending.push(item);
+    saveDeferredQueue(device.ieeeAddr, queue);
+    console.log(`[ATTR-TOOL] Queued ${queueItemLabel(item)} until the device wakes up`);
+
+    return {
+        state: {
+            [key]: value,
+            [QUEUE_RESULT_FIELDS[key]]: `⏳ Queued as #${item.id}, runs when the device next sends a message`,
+            queue_status: queueStatusText(queue),
+        },
+    };
+}
+
+// Runs the pending requests of a device that just sent a message. Never throws.
+async function flushDeferredQueue(device, publish, state) {
+    const queue = deferredQueues.get(device.ieeeAddr);
+    if (!queue || queue.flushing || queue.pending.length === 0) return;
+
+    queue.flushing = true;
+    console.log(`[ATTR-TOOL] Device awake: running ${queue.pending.length} queued request(s)`);
+    try {
+        while (queue.pending.length > 0) {
+            const item = queue.pending[0];
+            const converter = definition.toZigbee.find((c) => c.key.includes(item.key));
+            const itemState = {...state};
+            for (const [name, setting] of Object.entries(item.settings)) {
+                if (setting !== undefined) itemState[name] = setting;
+            }
+            const meta = {state: itemState, device, publish, message: {[item.key]: item.value}, options: {}, deferred: true};
+
+            let update = {};
+            try {
+                const entity = item.entity || device.getEndpoint(item.settings.endpoint || 1) || device;
+                const result = await converter.convertSet(entity, item.key, item.value, meta);
+                update = (result && result.state) || {};
+                item.result = (update[QUEUE_RESULT_FIELDS[item.key]] || 'done').toString().split('\n')[0];
+            } catch (error) {
+                item.result = `✗ ${error.message}`;
+                update = {[QUEUE_RESULT_FIELDS[item.key]]: item.result};
+            }
+            // Later requests see this one's state changes (e.g. write history)
+            Object.assign(state, update);
+
+            queue.pending.shift();
+            queue.completed.push(item);
+            while (queue.completed.length > QUEUE_COMPLETED_MAX) queue.completed.shift();
+            saveDeferredQueue(device.ieeeAddr, queue);
+            console.log(`[ATTR-TOOL] Queued #${item.id} ${item.key}: ${item.result}`);
+
+            try {
+                publish({...update, queue_status: queueStatusText(queue)});
+            } catch (error) {
+                console.error(`[ATTR-TOOL] Queue publish failed: ${error.message}`);
+            }
+        }
+    } finally {
+        queue.flushing = false;
+    }
+}
+
+// Called from every fromZigbee hook: any message means the device is awake.
+// Its publish function also carries the results of scan jobs resumed on startup and of
+// auto-scans, which have none of their own.
+function noteDeviceAwake(msg, publish, meta) {
+    if (!msg.device) return;
+    noteScanJobPublisher(msg.device.ieeeAddr, publish);
+    noteAutoScanPublisher(msg.device.ieeeAddr, publish, meta && meta.state);
+    if (!deferredQueues.has(msg.device.ieeeAddr)) {
+        // Requests queued before a restart without QUEUE_FILE are gone; don't keep showing them
+        const state = (meta && meta.state) || {};
+        if (state.queue_status && !state.queue_status.startsWith('0 pending')) {
+            const update = {queue_status: queueStatusText(getDeferredQueue(msg.device.ieeeAddr))};
+            for (const field of new Set(Object.values(QUEUE_RESULT_FIELDS))) {
+                if (String(state[field] || '').startsWith('⏳ Queued')) {
+                    update[field] = '✗ Queued request lost when Z2M restarted';
                 }
-                await new Promise((resolve) => setTimeout(resolve, 50));
             }
+            publish(update);
+        }
+        return;
+    }
+    flushDeferredQueue(msg.device, publish, {...((meta && meta.state) || {})});
+}
+
+// fromZigbee message types for every command a cluster can send
+function clusterCommandTypes(clusterDef) {
+    const names = [...Object.keys(clusterDef.commands || {}), ...Object.keys(clusterDef.commandsResponse || {})];
+    return [...new Set(names)].map((name) => `command${name.charAt(0).toUpperCase()}${name.slice(1)}`);
+}
+
+function timestamp() {
+    return new Date().toISOString().replace('T', ' ').replace(/\.\d+Z$/, '');
+}
+
+// ============================================================================
+// REPORT LISTENER — attribute reports, read responses and command frames
+// ============================================================================
+//
+// Converters are registered for every cluster the listener could be asked to
+// capture; listen_clusters and listen_types then pick at runtime what is logged.
+
+const LISTEN_TYPE_NAMES = ['reports', 'reads', 'commands'];
+
+// 'target', 'all' or a list of cluster keys, from state or LISTEN_CLUSTERS
+function parseListenClusters(spec) {
+    const list = Array.isArray(spec) ? spec : spec.toString().split(',');
+    const items = list.map((item) => item.toString().trim()).filter(Boolean);
+    if (items.length === 1 && ['target', 'all'].includes(items[0].toLowerCase())) {
+        return items[0].toLowerCase();
+    }
+    if (items.length === 0) {
+        throw new Error('No clusters given. Use "target", "all" or a list like "genOnOff,manuSpecificLumi"');
+    }
+    return items.map((item) => {
+        const cluster = parseClusterKey(item);
+        if (cluster === null) {
+            throw new Error(`Invalid cluster: "${item}" (Z2M cluster name or hex ID)`);
+        }
+        return cluster;
+    });
+}
+
+function parseListenTypes(spec) {
+    const list = Array.isArray(spec) ? spec : spec.toString().split(',');
+    const types = list.map((item) => item.toString().trim().toLowerCase()).filter(Boolean);
+    for (const type of types) {
+        if (!LISTEN_TYPE_NAMES.includes(type)) {
+            throw new Error(`Unknown message type "${type}". Valid: ${LISTEN_TYPE_NAMES.join(', ')}`);
+        }
+    }
+    return types;
+}
+
+function listenClustersLabel(clusters) {
+    return typeof clusters === 'string' ? clusters : clusters.map(clusterName).join(', ');
+}
+
+function getListenSettings(meta) {
+    const state = (meta && meta.state) || {};
+    return {
+        clusters: parseListenClusters(state.listen_clusters ?? LISTEN_CLUSTERS),
+        types: parseListenTypes(state.listen_types ?? LISTEN_TYPES),
+    };
+}
+
+function listenerCaptures(meta, msg) {
+    const {clusters, types} = getListenSettings(meta);
+    const kind = msg.type === 'attributeReport' ? 'reports' : msg.type === 'readResponse' ? 'reads' : 'commands';
+    if (!types.includes(kind)) return false;
+    if (clusters === 'all') return true;
+    if (clusters === 'target') return clusterMatches(msg.cluster, getTarget(meta).cluster, msg.device);
+    return clusters.some((cluster) => clusterMatches(msg.cluster, cluster, msg.device));
+}
+
+// Every cluster a converter is registered on: the standard ZCL clusters,
+// TARGET_CLUSTER and anything listed in LISTEN_CLUSTERS
+function listenerClusterKeys() {
+    const listed = Array.isArray(LISTEN_CLUSTERS) ? parseListenClusters(LISTEN_CLUSTERS) : [];
+    return [...new Set([TARGET_CLUSTER, ...Object.keys(Zcl.Clusters), ...listed])];
+}
+
+// Listed clusters no converter was registered on, so the listener can't hear them
+function unregisteredClusters(clusters, device) {
+    if (!Array.isArray(clusters)) return [];
+    const registered = listenerClusterKeys();
+    return clusters.filter((cluster) => !registered.some((key) => clusterMatches(cluster, key, device)));
+}
+
+// Splits a raw ZCL frame into its header fields and payload
+function zclFrameParts(buffer) {
+    const frameControl = buffer[0];
+    const manufacturerSpecific = (frameControl & 0x04) !== 0;
+    const headerLength = manufacturerSpecific ? 5 : 3;
+    if (buffer.length < headerLength) return null;
+    return {
+        clusterSpecific: (frameControl & 0x03) === 0x01,
+        manufacturerCode: manufacturerSpecific ? buffer.readUInt16LE(1) : undefined,
+        commandId: buffer[headerLength - 1],
+        payload: buffer.subarray(headerLength),
+    };
+}
+
+// Attribute reports and read responses: one entry per attribute
+function captureAttributes(msg, meta) {
+    const epNum = msg.endpoint && msg.endpoint.ID ? msg.endpoint.ID : '?';
+    const code = msg.meta && msg.meta.manufacturerCode != null ? msg.meta.manufacturerCode : undefined;
+    const source = `${msg.cluster} [${manufacturerCodeLabel(code)}]`;
+    const entries = [];
+
+    const ieeeAddr = msg.device && msg.device.ieeeAddr;
+    for (const [attrKey, value] of Object.entries(msg.data)) {
+        const id = attrIdFromKey(msg.cluster, attrKey, msg.device);
+        const attr = id === null ? attrKey : attrHexStr(id);
+        const label = id === null ? attrKey : attrLabel(id, msg.cluster);
+        const formatted = formatAttrValue(msg.cluster, id, value, false);
+        entries.push({attr, value: formatted, text: `EP${epNum} ${source} ${label} = ${formatted}`});
+        console.log(`[ATTR-TOOL] 📡 Report: EP${epNum} ${source} ${label} = ${formatted}`);
+        // Read responses answer our own reads and are already on the timeline as reads
+        if (msg.type === 'attributeReport') {
+            recordTimeline(ieeeAddr, {type: 'report', ep: epNum, cluster: msg.cluster, attr, text: `${label} = ${formatted}`});
+            recordReportStats(ieeeAddr, {ep: epNum, cluster: msg.cluster, attr, label, value, formatted});
+            observeAttr(ieeeAddr, epNum, msg.cluster, id, {reportable: true, manufacturerCode: code});
+        }
+    }
+
+    if (entries.length === 0) return;
 
-            if (results.length > 0) {
-                console.log(`[ATTR-TOOL] Auto-scan complete: ${results.length}/${AUTO_SCAN_ATTRIBUTES.length} read`);
+    // Only reports count as effects
+    if (msg.type !== 'attributeReport') return appendReportLog(meta, entries);
+    notifyReportObservers(msg.device, entries.map((entry) => entry.text));
+    return {...appendReportLog(meta, entries), report_stats: reportStatsText(ieeeAddr, meta.state && meta.state.report_stats_query)};
+}
+
+// Cluster commands herdsman parsed ("commandToggle") and frames it couldn't
+// ("raw", e.g. commands of custom clusters), logged with the payload in hex
+function captureCommand(msg, meta) {
+    const epNum = msg.endpoint && msg.endpoint.ID ? msg.endpoint.ID : '?';
+    const rawData = msg.type === 'raw' ? msg.data : msg.meta && msg.meta.rawData;
+    const frame = Buffer.isBuffer(rawData) ? zclFrameParts(rawData) : null;
+    const code = frame ? frame.manufacturerCode : msg.meta && msg.meta.manufacturerCode;
+    const source = `${clusterName(msg.cluster)} [${manufacturerCodeLabel(code ?? undefined)}]`;
+
+    const commandIdHex = frame ? `0x${frame.commandId.toString(16).padStart(2, '0')}` : '?';
+    let commandLabel;
+    if (msg.type === 'raw') {
+        commandLabel = `${frame && !frame.clusterSpecific ? 'global ' : ''}command ${commandIdHex}`;
+    } else {
+        const name = msg.type.replace(/^command/, '');
+        commandLabel = `command ${name.charAt(0).toLowerCase()}${name.slice(1)} (${commandIdHex})`;
+    }
+    const payloadHex = frame ? frame.payload.toString('hex').toUpperCase() || '(empty)' : '(not available)';
+    const text = `${commandLabel} payload ${payloadHex}`;
+
+    const ieeeAddr = msg.device && msg.device.ieeeAddr;
+    const attr = `cmd ${commandIdHex}`;
+    console.log(`[ATTR-TOOL] 📡 Command: EP${epNum} ${source} ${text}`);
+    recordTimeline(ieeeAddr, {type: 'command', ep: epNum, cluster: clusterName(msg.cluster), attr, text});
+    recordReportStats(ieeeAddr, {ep: epNum, cluster: clusterName(msg.cluster), attr, label: commandLabel, value: null, formatted: payloadHex});
+
+    const entry = {attr, value: text, text: `EP${epNum} ${source} ${text}`};
+    notifyReportObservers(msg.device, [entry.text]);
+    return {...appendReportLog(meta, [entry]), report_stats: reportStatsText(ieeeAddr, meta.state && meta.state.report_stats_query)};
+}
+
+// ============================================================================
+// CONVERTER GENERATOR — modernExtend definition from what ZPP has learned
+// ============================================================================
+//
+// Combines KNOWN_ATTRIBUTES (names, enums, scale, bounds) with the types,
+// access and reporting seen on the device into a zigbee-herdsman-converters
+// definition snippet.
+
+const ZCL_BOOLEAN = 0x10;
+const ZCL_CHAR_STR = 0x42;
+
+function isNumericType(type) {
+    return (type >= 0x08 && type <= 0x0f) || // data8-data64
+        (type >= 0x18 && type <= 0x1f) || // bitmaps
+        (type >= 0x20 && type <= 0x2f) || // uint/int
+        type === 0x30 || type === 0x31 || // enum8/16
+        (type >= 0x38 && type <= 0x3a); // floats
+}
+
+// "power_on_behavior" from a KNOWN_ATTRIBUTES name, "attr_0517" without one
+function exposeName(name, attrId) {
+    const clean = name && name !== 'Unknown' ?
+        name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '').toLowerCase() :
+        '';
+    return clean || `attr_${attrId.toString(16).padStart(4, '0')}`;
+}
+
+function camelName(snakeName) {
+    return snakeName.replace(/_([a-z0-9])/g, (match, char) => char.toUpperCase());
+}
+
+function hexLiteral(value, width) {
+    return `0x${value.toString(16).padStart(width, '0')}`;
+}
+
+function jsString(str) {
+    return `'${String(str).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function jsKey(key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key) || /^\d+$/.test(key) ? key : jsString(key);
+}
+
+// Name and ID the snippet uses for the target cluster. Clusters herdsman
+// doesn't know by name get a placeholder name to rename.
+function converterCluster(target, device) {
+    let definition;
+    try {
+        definition = Zcl.Utils.getCluster(target.cluster, undefined, (device && device.customClusters) || {});
+    } catch {
+        definition = undefined;
+    }
+    const id = definition ? definition.ID : typeof target.cluster === 'number' ? target.cluster : null;
+    let name = typeof target.cluster === 'string' ? target.cluster : definition && definition.name;
+    if (!name || /^\d+$/.test(name)) {
+        name = `manuSpecific${id.toString(16).toUpperCase().padStart(4, '0')}`;
+    }
+    return {name, id, standard: Zcl.Clusters[name] !== undefined};
+}
+
+// Attributes to generate: KNOWN_ATTRIBUTES entries and labels with a name or schema, plus
+// everything observed on the target cluster. Returns [{attrId, schema, type,
+// readable, writable, reportable, reporting, endpoints}] sorted by ID.
+// KNOWN_ATTRIBUTES and labels describe TARGET_CLUSTER, so other clusters go without them.
+function collectConverterAttrs(device, target, ids, defaultEp) {
+    const knownCluster = clusterMatches(target.cluster, TARGET_CLUSTER, device);
+    const attrs = new Map();
+    const attrEntry = (attrId) => {
+        if (!attrs.has(attrId)) {
+            attrs.set(attrId, {attrId, schema: knownCluster ? attrSchema(attrId) : null, endpoints: new Set()});
+        }
+        return attrs.get(attrId);
+    };
+
+    for (const key of knownCluster ? namedAttributeKeys() : []) {
+        const attrId = Number.parseInt(key, 16);
+        const schema = attrSchema(attrId);
+        if (typeof KNOWN_ATTRIBUTES[key] === 'object' || (schema.name && schema.name !== 'Unknown')) {
+            attrEntry(attrId);
+        }
+    }
+
+    const observations = (attrObservations.get(device.ieeeAddr) || new Map()).values();
+    for (const obs of observations) {
+        if (!clusterMatches(obs.cluster, target.cluster, device)) continue;
+        const entry = attrEntry(obs.attrId);
+        entry.endpoints.add(obs.ep);
+        for (const fact of ['type', 'readable', 'writable', 'reportable', 'reporting']) {
+            // A "yes" on any endpoint wins over a "no"
+            if (obs[fact] !== undefined && !entry[fact]) entry[fact] = obs[fact];
+        }
+    }
+
+    return [...attrs.values()]
+        .filter((entry) => !ids || ids.includes(entry.attrId))
+        .map((entry) => {
+            const schemaType = entry.schema && entry.schema.type;
+            return {
+                ...entry,
+                observedType: entry.type,
+                type: schemaType ?? entry.type,
+                endpoints: entry.endpoints.size > 0 ? [...entry.endpoints].sort((a, b) => a - b) : [defaultEp],
+            };
+        })
+        .sort((a, b) => a.attrId - b.attrId);
+}
+
+function converterAccess(attr) {
+    if (attr.writable) {
+        return {access: attr.readable === false ? 'SET' : 'ALL'};
+    }
+    const access = attr.readable === false ? 'STATE' : 'STATE_GET';
+    return {access, note: attr.writable === false ? 'read-only' : 'writing not tried'};
+}
+
+// One m.*() call (as lines) for an attribute on one endpoint, or TODO comments
+function converterExtendLines(attr, ep, cluster, options) {
+    const schema = attr.schema || {};
+    const name = exposeName(schema.name, attr.attrId);
+    const attrHex = hexLiteral(attr.attrId, 4);
+    const label = `${attrHex} (${name})`;
+
+    if (attr.type === undefined) {
+        return [`// TODO ${label}: data type unknown. Read, write or discover it, or add type to KNOWN_ATTRIBUTES`];
+    }
+    let helper;
+    if (schema.enum) helper = 'enumLookup';
+    else if (attr.type === ZCL_BOOLEAN) helper = 'binary';
+    else if (attr.type === ZCL_CHAR_STR) helper = 'text';
+    else if (isNumericType(attr.type)) helper = 'numeric';
+    else {
+        return [`// TODO ${label}: ${dataTypeName(attr.type)} has no modernExtend helper, write a custom converter`];
+    }
+
+    const {access, note} = converterAccess(attr);
+    const description = schema.name && schema.name !== 'Unknown' ?
+        `${name.charAt(0).toUpperCase()}${name.slice(1).replace(/_/g, ' ')}` :
+        `TODO: unknown attribute ${attrHex}`;
+    const lines = [`name: ${jsString(name)},`];
+
+    if (helper === 'enumLookup') {
+        const lookup = Object.entries(schema.enum).map(([value, text]) => `${jsKey(text)}: ${value}`).join(', ');
+        lines.push(`lookup: {${lookup}},`);
+    } else if (helper === 'binary') {
+        lines.push('valueOn: [\'ON\', 1],', 'valueOff: [\'OFF\', 0],');
+    }
+    lines.push(`cluster: ${jsString(cluster.name)},`);
+    lines.push(`attribute: {ID: ${attrHex}, type: ${hexLiteral(attr.type, 2)}},`);
+
+    let fullDescription = description;
+    if (schema.bitmap) {
+        const bits = Object.entries(schema.bitmap).map(([bit, text]) => `bit ${bit} ${text}`).join(', ');
+        fullDescription += ` (${bits})`;
+    }
+    if (schema.notes) {
+        fullDescription += ` — ${schema.notes}`;
+    }
+    lines.push(`description: ${jsString(fullDescription)},`);
+
+    if (helper === 'numeric') {
+        if (schema.scale !== undefined && schema.scale !== 1) {
+            // herdsman divides the raw value by scale; KNOWN_ATTRIBUTES multiplies
+            const divisor = 1 / schema.scale;
+            const rounded = Math.round(divisor);
+            lines.push(`scale: ${Math.abs(divisor - rounded) < 1e-9 ? rounded : divisor},`);
+        }
+        if (schema.unit) lines.push(`unit: ${jsString(schema.unit)},`);
+        const scale = schema.scale ?? 1;
+        if (schema.min !== undefined) lines.push(`valueMin: ${schema.min * scale},`);
+        if (schema.max !== undefined) lines.push(`valueMax: ${schema.max * scale},`);
+    }
+
+    lines.push(`access: '${access}',${note ? ` // ${note}` : ''}`);
+    if (helper !== 'text') {
+        if (attr.reporting) {
+            lines.push(`reporting: {min: ${attr.reporting.min}, max: ${attr.reporting.max}, change: ${attr.reporting.change}},`);
+        } else if (attr.reportable) {
+            lines.push('// Reportable: add reporting: {min, max, change} to configure it');
+        }
+    }
+    if (options.endpoints) {
+        lines.push(helper === 'numeric' ? `endpointNames: ['${ep}'],` : `endpointName: '${ep}',`);
+    }
+    if (options.manufacturerCode !== undefined) {
+        lines.push('zigbeeCommandOptions: {manufacturerCode},');
+    }
+    if (attr.observedType !== undefined && attr.observedType !== attr.type) {
+        lines.unshift(`// Note: KNOWN_ATTRIBUTES says ${dataTypeName(attr.type)}, the device used ${dataTypeName(attr.observedType)}`);
+    }
+
+    const callIndex = lines.findIndex((line) => !line.startsWith('//'));
+    return [
+        ...lines.slice(0, callIndex),
+        `m.${helper}({`,
+        ...lines.slice(callIndex).map((line) => `    ${line}`),
+        '}),',
+    ];
+}
+
+// Returns {code, count}: the definition snippet and how many attributes it covers
+function generateConverter(device, target, ids, defaultEp) {
+    const attrs = collectConverterAttrs(device, target, ids, defaultEp);
+    if (attrs.length === 0) {
+        throw new Error('Nothing to generate: no named KNOWN_ATTRIBUTES and nothing read, written or reported on this cluster yet');
+    }
+
+    const cluster = converterCluster(target, device);
+    const allEndpoints = [...new Set(attrs.flatMap((attr) => attr.endpoints))].sort((a, b) => a - b);
+    const options = {
+        endpoints: allEndpoints.length > 1 || allEndpoints[0] !== 1,
+        manufacturerCode: target.manufacturerCode,
+    };
+    const model = device.modelID || TARGET_ZIGBEE_MODEL;
+
+    const extend = [];
+    if (options.endpoints) {
+        const endpointMap = allEndpoints.map((ep) => `'${ep}': ${ep}`).join(', ');
+        extend.push(`m.deviceEndpoints({endpoints: {${endpointMap}}}),`);
+    }
+    if (!cluster.standard) {
+        const attributeLines = attrs.filter((attr) => attr.type !== undefined).map((attr) => {
+            const name = exposeName(attr.schema && attr.schema.name, attr.attrId);
+            const write = attr.writable ? ', write: true' : '';
+            return `        ${camelName(name)}: {name: ${jsString(camelName(name))}, ID: ${hexLiteral(attr.attrId, 4)}, type: ${hexLiteral(attr.type, 2)}${write}},`;
+        });
+        extend.push(
+            '// Skip this if the device definition already adds the cluster',
+            `m.deviceAddCustomCluster(${jsString(cluster.name)}, {`,
+            `    name: ${jsString(cluster.name)},`,
+            // Unresolved ID: keep the snippet valid JavaScript and leave a TODO to fill it in
+            cluster.id === null ? '    ID: 0x0000, // TODO set the cluster ID' : `    ID: ${hexLiteral(cluster.id, 4)},`,
+            ...(options.manufacturerCode !== undefined ? ['    manufacturerCode,'] : []),
+            '    attributes: {',
+            ...attributeLines,
+            '    },',
+            '    commands: {},',
+            '    commandsResponse: {},',
+            '}),',
+        );
+    }
+    for (const attr of attrs) {
+        for (const ep of attr.endpoints) {
+            extend.push(...converterExtendLines(attr, ep, cluster, options));
+        }
+    }
+
+    const code = [
+        `// Generated by ZPP on ${timestamp()} from KNOWN_ATTRIBUTES and what ${model} showed`,
+        '// in reads, writes, reports and discovery. Check the TODOs and descriptions.',
+        'import * as m from \'zigbee-herdsman-converters/lib/modernExtend\';',
+        '',
+        ...(options.manufacturerCode !== undefined ? [`const manufacturerCode = ${hexLiteral(options.manufacturerCode, 4)};`, ''] : []),
+        'export default {',
+        `    zigbeeModel: [${jsString(model)}],`,
+        `    model: ${jsString(model)},`,
+        `    vendor: ${jsString(device.manufacturerName || 'TODO')},`,
+        '    description: \'TODO\',',
+        '    extend: [',
+        ...extend.map((line) => `        ${line}`),
+        '    ],',
+        '};',
+    ].join('\n');
+    return {code, count: attrs.length};
+}
+
+// ============================================================================
+// DEFINITION
+// ============================================================================
+
+const definition = {
+    zigbeeModel: [TARGET_ZIGBEE_MODEL],
+    model: 'ATTR-TOOL',
+    vendor: 'Custom',
+    description: 'Manufacturer-Specific Attribute Reader/Writer v4 (scan, compare, batch, bulk, discover)',
+
+    // =================================================================
+    // FROM ZIGBEE — passive report listener
+    //
+    // Registered on TARGET_CLUSTER, every standard ZCL cluster and the clusters
+    // in LISTEN_CLUSTERS; listen_clusters and listen_types decide at runtime
+    // which messages are logged. Every message wakes the deferred queue.
+    // =================================================================
+    fromZigbee: listenerClusterKeys().map((cluster) => {
+        const clusterDef = typeof cluster === 'string' ? Zcl.Clusters[cluster] : undefined;
+        // Tuya DP frames have their own converter below
+        const commandTypes = clusterDef && cluster !== 'manuSpecificTuya' ? clusterCommandTypes(clusterDef) : [];
+        return {
+            cluster,
+            type: ['attributeReport', 'readResponse', ...commandTypes, 'raw'],
+            convert: (model, msg, publish, options, meta) => {
+                noteDeviceAwake(msg, publish, meta);
+                if (!listenerCaptures(meta, msg)) return;
+                return msg.type === 'attributeReport' || msg.type === 'readResponse' ?
+                    captureAttributes(msg, meta) :
+                    captureCommand(msg, meta);
+            },
+        };
+    }).concat([
+        // Tuya DP frames (manuSpecificTuya) are decoded into individual
+        // datapoints regardless of the selected cluster
+        {
+            cluster: 'manuSpecificTuya',
+            type: ['commandDataReport', 'commandDataResponse', 'commandActiveStatusReport', 'commandActiveStatusReportAlt'],
+            convert: (model, msg, publish, options, meta) => {
+                noteDeviceAwake(msg, publish, meta);
+
+                const epNum = msg.endpoint && msg.endpoint.ID ? msg.endpoint.ID : '?';
+                const frameName = msg.type.replace(/^command/, '');
+                const prefix = `EP${epNum} manuSpecificTuya ${frameName.charAt(0).toLowerCase()}${frameName.slice(1)} seq ${msg.data.seq}`;
+                const entries = [];
+
+                const ieeeAddr = msg.device && msg.device.ieeeAddr;
+                for (const dpValue of msg.data.dpValues || []) {
+                    const attr = `DP ${dpValue.dp}`;
+                    const formatted = formatTuyaDp(dpValue, false);
+                    const {value, shown} = tuyaDpValue(dpValue, false);
+                    entries.push({attr, value: shown, text: `${prefix}: ${formatted}`});
+                    console.log(`[ATTR-TOOL] 📡 Tuya: ${prefix}: ${formatted}`);
+                    recordTimeline(ieeeAddr, {type: 'report', ep: epNum, cluster: 'manuSpecificTuya', attr, text: formatted});
+                    const label = `${attr} (${tuyaTypeName(dpValue.datatype)})`;
+                    recordReportStats(ieeeAddr, {ep: epNum, cluster: 'manuSpecificTuya', attr, label, value, formatted: shown});
+                }
+
+                if (entries.length === 0) return;
+
+                notifyReportObservers(msg.device, entries.map((entry) => entry.text));
+                return {...appendReportLog(meta, entries), report_stats: reportStatsText(ieeeAddr, meta.state && meta.state.report_stats_query)};
+            },
+        },
+    ]),
+
+    // =================================================================
+    // ON EVENT — resume scan jobs and start the auto-scan on startup,
+    // stop background work on shutdown
+    // =================================================================
+    onEvent: async (type, data, device, settings, state) => {
+        if (type === 'stop') {
+            const job = scanJobs.get(device.ieeeAddr);
+            if (job) {
+                job.stopped = true;
+                scanJobs.delete(device.ieeeAddr);
+            }
+            if (watches.has(device.ieeeAddr)) {
+                watches.get(device.ieeeAddr).list.forEach(stopWatch);
+                watches.delete(device.ieeeAddr);
+            }
+            stopAutoScan(device.ieeeAddr);
+            return;
+        }
+        if (type !== 'start') return;
+
+        // Continue a scan job that was running when Z2M stopped
+        if (!scanJobs.has(device.ieeeAddr)) {
+            try {
+                const job = loadScanCheckpoint(device.ieeeAddr);
+                if (job) {
+                    scanJobs.set(device.ieeeAddr, job);
+                    if (job.status === 'running') {
+                        console.log(`[ATTR-TOOL] Scan job: resuming ${job.spec} at ${job.nextIndex}/${job.total}`);
+                        runScanJob(job, device);
+                    }
+                }
+            } catch (error) {
+                console.error(`[ATTR-TOOL] Scan job: checkpoint not loaded: ${error.message}`);
             }
+        }
+
+        try {
+            loadDeferredQueue(device.ieeeAddr);
         } catch (error) {
-            console.error(`[ATTR-TOOL] Auto-scan error: ${error.message}`);
+            console.error(`[ATTR-TOOL] Queue not loaded: ${error.message}`);
         }
+
+        startAutoScan(device, state || {});
     },
 
     toZigbee: [
@@ -398,14 +3649,46 @@ const definition = {
         // ENDPOINT SELECTOR
         // =================================================================
         {
-            key: ['endpoint'],
+            key: ['endpoint'],
+            convertSet: async (entity, key, value, meta) => {
+                const ep = Number(value);
+                if (ep < 1 || !Number.isInteger(ep)) {
+                    throw new Error('Endpoint must be a positive integer');
+                }
+                console.log(`[ATTR-TOOL] Endpoint set to ${ep}`);
+                return {state: {endpoint: ep}};
+            },
+        },
+
+        // =================================================================
+        // CLUSTER / MANUFACTURER CODE SELECTORS
+        //
+        // cluster:            Z2M cluster name ("genBasic") or hex ID ("0xFCC0")
+        // manufacturer_code:  hex code ("115f") or "none" for standard frames
+        // =================================================================
+        {
+            key: ['cluster'],
+            convertSet: async (entity, key, value, meta) => {
+                const cluster = parseClusterKey(value);
+                if (cluster === null) {
+                    throw new Error('Cluster must be a Z2M cluster name (e.g. "genBasic") or hex ID (e.g. "0xFCC0")');
+                }
+                console.log(`[ATTR-TOOL] Cluster set to ${clusterName(cluster)}`);
+                noteAutoScanSettings(entity, meta, {cluster: clusterName(cluster)});
+                return {state: {cluster: clusterName(cluster)}};
+            },
+        },
+        {
+            key: ['manufacturer_code'],
             convertSet: async (entity, key, value, meta) => {
-                const ep = Number(value);
-                if (ep < 1 || !Number.isInteger(ep)) {
-                    throw new Error('Endpoint must be a positive integer');
+                const code = parseManufacturerCode(value);
+                if (code === null) {
+                    throw new Error('Manufacturer code must be hex (e.g. "115f") or "none"');
                 }
-                console.log(`[ATTR-TOOL] Endpoint set to ${ep}`);
-                return {state: {endpoint: ep}};
+                const stored = code === 'none' ? 'none' : `0x${code.toString(16).toUpperCase().padStart(4, '0')}`;
+                console.log(`[ATTR-TOOL] Manufacturer code set to ${stored}`);
+                noteAutoScanSettings(entity, meta, {manufacturer_code: stored});
+                return {state: {manufacturer_code: stored}};
             },
         },
 
@@ -421,13 +3704,67 @@ const definition = {
             },
         },
 
+        // =================================================================
+        // READ SETTINGS — per-read timeout (ms) and retries after a timeout
+        // =================================================================
+        {
+            key: ['read_timeout'],
+            convertSet: async (entity, key, value, meta) => {
+                const timeoutMs = Number(value);
+                if (!Number.isInteger(timeoutMs) || timeoutMs < READ_TIMEOUT_MIN_MS || timeoutMs > READ_TIMEOUT_MAX_MS) {
+                    throw new Error(`Read timeout must be ${READ_TIMEOUT_MIN_MS}-${READ_TIMEOUT_MAX_MS} ms`);
+                }
+                console.log(`[ATTR-TOOL] Read timeout set to ${timeoutMs} ms`);
+                return {state: {read_timeout: timeoutMs}};
+            },
+        },
+        {
+            key: ['read_retries'],
+            convertSet: async (entity, key, value, meta) => {
+                const retries = Number(value);
+                if (!Number.isInteger(retries) || retries < 0 || retries > READ_RETRIES_MAX) {
+                    throw new Error(`Read retries must be 0-${READ_RETRIES_MAX}`);
+                }
+                console.log(`[ATTR-TOOL] Read retries set to ${retries}`);
+                return {state: {read_retries: retries}};
+            },
+        },
+
+        // =================================================================
+        // DRY RUN TOGGLE — show write/command frames instead of sending them
+        // =================================================================
+        {
+            key: ['dry_run'],
+            convertSet: async (entity, key, value, meta) => {
+                const enabled = value === true || value === 'true' || value === 'ON' || value === 1;
+                console.log(`[ATTR-TOOL] Dry run: ${enabled ? 'ON' : 'OFF'}`);
+                return {state: {dry_run: enabled}};
+            },
+        },
+
+        // =================================================================
+        // QUEUE MODE TOGGLE — hold requests until a sleepy device wakes up
+        // =================================================================
+        {
+            key: ['queue_mode'],
+            convertSet: async (entity, key, value, meta) => {
+                const enabled = value === true || value === 'true' || value === 'ON' || value === 1;
+                const device = entity.getDevice ? entity.getDevice() : entity;
+                console.log(`[ATTR-TOOL] Queue mode: ${enabled ? 'ON' : 'OFF'}`);
+                return {state: {queue_mode: enabled, queue_status: queueStatusText(getDeferredQueue(device.ieeeAddr))}};
+            },
+        },
+
         // =================================================================
         // READ SINGLE ATTRIBUTE
         // =================================================================
         {
             key: ['read_attribute', 'select_attribute'],
             convertSet: async (entity, key, value, meta) => {
-                const input = key === 'select_attribute' ? value : value.toString().trim();
+                if (shouldDefer(meta)) return deferRequest(entity, key, value, meta);
+
+                // Dropdown options carry the name after the ID: "0517 (power_on_behavior)"
+                const input = key === 'select_attribute' ? value.toString().split(' ')[0] : value.toString().trim();
                 const attrId = parseAttrHex(input);
                 const rawHex = getRawHexSetting(meta);
 
@@ -436,30 +3773,33 @@ const definition = {
                 }
 
                 const epNum = (meta.state && meta.state.endpoint) || 1;
-                const label = attrLabel(attrId);
-                console.log(`[ATTR-TOOL] Reading ${label} on EP${epNum}`);
+                const target = getTarget(meta);
+                const where = `EP${epNum} ${targetLabel(target)}`;
+                const label = attrLabel(attrId, target.cluster);
+                console.log(`[ATTR-TOOL] Reading ${label} on ${where}`);
 
                 try {
                     const endpoint = getEndpoint(entity, epNum);
-                    const result = await readOneAttr(endpoint, attrId);
+                    const result = await readOneAttr(endpoint, attrId, target, createPacer(getReadSettings(meta)));
 
                     if (result.ok) {
-                        const formatted = formatValue(result.value, rawHex);
+                        const formatted = formatAttrValue(target.cluster, attrId, result.value, rawHex);
+                        const {notes} = attrSchema(attrId, target.cluster) || {};
                         console.log(`[ATTR-TOOL] ✓ ${label} = ${formatted}`);
                         return {
                             state: {
                                 read_attribute: attrHexStr(attrId),
-                                select_attribute: attrId.toString(16).toLowerCase().padStart(4, '0'),
+                                select_attribute: attrOption(attrId.toString(16).toLowerCase().padStart(4, '0')),
                                 attribute_value: formatted,
-                                attribute_status: `✓ EP${epNum} ${label}`,
+                                attribute_status: `✓ ${where} ${label}${notes ? ` — ${notes}` : ''}`,
                             },
                         };
                     }
-                    return {state: {attribute_value: 'No data', attribute_status: `${label}: No data on EP${epNum}`}};
+                    return {state: {attribute_value: 'No data', attribute_status: `${label}: No data on ${where}`}};
                 } catch (error) {
                     const msg = error.message.includes('UNSUPPORTED_ATTRIBUTE') ? 'Not supported' : error.message;
                     console.error(`[ATTR-TOOL] ✗ ${label}: ${msg}`);
-                    return {state: {attribute_value: 'ERROR', attribute_status: `✗ EP${epNum} ${label}: ${msg}`}};
+                    return {state: {attribute_value: 'ERROR', attribute_status: `✗ ${where} ${label}: ${msg}`}};
                 }
             },
         },
@@ -472,6 +3812,8 @@ const definition = {
         {
             key: ['read_list'],
             convertSet: async (entity, key, value, meta) => {
+                if (shouldDefer(meta)) return deferRequest(entity, key, value, meta);
+
                 const ids = value.toString().split(',').map((s) => s.trim()).filter(Boolean);
                 if (ids.length === 0) {
                     throw new Error('Provide comma-separated hex IDs, e.g. "0515,0516,0517"');
@@ -483,25 +3825,27 @@ const definition = {
                 const epNum = (meta.state && meta.state.endpoint) || 1;
                 const endpoint = getEndpoint(entity, epNum);
                 const rawHex = getRawHexSetting(meta);
+                const target = getTarget(meta);
 
-                console.log(`[ATTR-TOOL] Batch reading ${ids.length} attributes on EP${epNum}...`);
+                console.log(`[ATTR-TOOL] Batch reading ${ids.length} attributes on EP${epNum} ${targetLabel(target)}...`);
 
                 const results = [];
                 let found = 0;
-                let errors = 0;
+                const failures = newFailureCounts();
+                const pacer = createPacer(getReadSettings(meta));
 
                 for (const idStr of ids) {
                     const attrId = parseAttrHex(idStr);
                     if (attrId === null) {
                         results.push(`"${idStr}": invalid hex`);
-                        errors++;
+                        failures.failed++;
                         continue;
                     }
-                    const label = attrLabel(attrId);
+                    const label = attrLabel(attrId, target.cluster);
                     try {
-                        const result = await readOneAttr(endpoint, attrId);
+                        const result = await readOneAttr(endpoint, attrId, target, pacer);
                         if (result.ok) {
-                            const formatted = formatValue(result.value, rawHex);
+                            const formatted = formatAttrValue(target.cluster, attrId, result.value, rawHex);
                             results.push(`${label} = ${formatted}`);
                             console.log(`[ATTR-TOOL] ✓ ${label} = ${formatted}`);
                             found++;
@@ -509,14 +3853,13 @@ const definition = {
                             results.push(`${label}: No data`);
                         }
                     } catch (error) {
-                        const msg = error.message.includes('UNSUPPORTED_ATTRIBUTE') ? 'unsupported' : error.message;
-                        results.push(`${label}: ${msg}`);
-                        errors++;
+                        const kind = countFailure(failures, error);
+                        results.push(`${label}: ${kind === 'failed' ? error.message : kind}`);
                     }
-                    await new Promise((resolve) => setTimeout(resolve, 50));
+                    await pacerWait(pacer);
                 }
 
-                const summary = `EP${epNum} batch: ${found} found, ${errors} errors out of ${ids.length}`;
+                const summary = `EP${epNum} ${targetLabel(target)} batch: ${found} found, ${formatFailureCounts(failures)} out of ${ids.length}`;
                 console.log(`[ATTR-TOOL] ${summary}`);
 
                 return {
@@ -539,47 +3882,62 @@ const definition = {
         {
             key: ['write_attribute'],
             convertSet: async (entity, key, value, meta) => {
-                const {attrId, hexStr, typeInfo} = parseWriteSpec(value);
+                if (shouldDefer(meta)) return deferRequest(entity, key, value, meta);
+
+                const {spec, token} = splitConfirmToken(value.toString().trim());
+                const target = getTarget(meta);
+                const {attrId, hexStr, typeInfo} = parseWriteSpec(spec, target.cluster);
 
                 const epNum = (meta.state && meta.state.endpoint) || 1;
                 const rawHex = getRawHexSetting(meta);
-                const label = attrLabel(attrId);
-                const typeNames = Object.entries(DATA_TYPES);
-                const typeName = typeNames.find(([, v]) => v === typeInfo.type)?.[0] || `0x${typeInfo.type.toString(16)}`;
-
-                console.log(`[ATTR-TOOL] Writing ${label} on EP${epNum}: ${hexStr} as ${typeName}`);
+                const device = entity.getDevice ? entity.getDevice() : entity;
+                const where = `EP${epNum} ${targetLabel(target)}`;
+                const label = attrLabel(attrId, target.cluster);
+                const typeName = dataTypeName(typeInfo.type);
 
                 try {
                     const endpoint = getEndpoint(entity, epNum);
+                    checkWritePolicy(device, target, attrId);
+
+                    if (getDryRunSetting(meta)) {
+                        const confirmNote = isDangerousAttr(attrId, target.cluster) ? '\n⚠ Marked dangerous: a real write needs a confirmation token' : '';
+                        const resultMsg = `🧪 Dry run, nothing sent: ${where} write ${typeName}:${hexStr} to ${label}\nZCL frame: ${writeFrameHex(device, target, attrId, typeInfo)}${confirmNote}`;
+                        console.log(`[ATTR-TOOL] ${resultMsg}`);
+                        return {state: {write_attribute: value, write_result: resultMsg}};
+                    }
+                    const prompt = confirmationPrompt(device, epNum, target, attrId, typeInfo, token, spec);
+                    if (prompt) {
+                        console.log(`[ATTR-TOOL] ${prompt}`);
+                        return {state: {write_attribute: value, write_result: prompt}};
+                    }
 
-                    await endpoint.write(
-                        TARGET_CLUSTER,
-                        {[attrId]: {value: typeInfo.value, type: typeInfo.type}},
-                        {manufacturerCode, disableDefaultResponse: false},
-                    );
+                    console.log(`[ATTR-TOOL] Writing ${label} on ${where}: ${hexStr} as ${typeName}`);
+                    const undo = await captureUndo(endpoint, target, attrId);
+
+                    await writeAttr(endpoint, target, attrId, typeInfo.value, typeInfo.type);
 
                     // Auto read-back
                     let readBack = '';
                     try {
-                        const rb = await readOneAttr(endpoint, attrId);
+                        const rb = await readOneAttr(endpoint, attrId, target, createPacer(getReadSettings(meta)));
                         if (rb.ok) {
-                            readBack = ` → read-back: ${formatValue(rb.value, rawHex)}`;
+                            readBack = ` → read-back: ${formatAttrValue(target.cluster, attrId, rb.value, rawHex)}`;
                         }
                     } catch {
                         readBack = ' → read-back failed (write-only?)';
                     }
 
-                    const resultMsg = `✓ EP${epNum} Wrote ${typeName} to ${label}${readBack}`;
+                    const resultMsg = `✓ ${where} Wrote ${typeName} to ${label}${undoNote(undo)}${readBack}`;
                     console.log(`[ATTR-TOOL] ${resultMsg}`);
 
-                    const history = appendWriteHistory(meta, `[${timestamp()}] ${resultMsg}`);
-                    return {state: {write_attribute: value, write_result: resultMsg, write_history: history, write_history_log: history.join('\n')}};
+                    const history = appendWriteHistory(meta, resultMsg, undo);
+                    return {state: {write_attribute: value, write_result: resultMsg, ...writeHistoryState(history)}};
                 } catch (error) {
-                    const errorMsg = `✗ EP${epNum} ${label}: ${error.message}`;
+                    const errorMsg = `✗ ${where} ${label}: ${error.message}`;
                     console.error(`[ATTR-TOOL] ${errorMsg}`);
 
-                    const history = appendWriteHistory(meta, `[${timestamp()}] ${errorMsg}`);
-                    return {state: {write_attribute: value, write_result: errorMsg, write_history: history, write_history_log: history.join('\n')}};
+                    const history = appendWriteHistory(meta, errorMsg);
+                    return {state: {write_attribute: value, write_result: errorMsg, ...writeHistoryState(history)}};
                 }
             },
         },
@@ -593,6 +3951,8 @@ const definition = {
         {
             key: ['bulk_write'],
             convertSet: async (entity, key, value, meta) => {
+                if (shouldDefer(meta)) return deferRequest(entity, key, value, meta);
+
                 const specs = value.toString().split(',').map((s) => s.trim()).filter(Boolean);
                 if (specs.length === 0) {
                     throw new Error('Provide comma-separated writes, e.g. "0515:0a,0516:ff"');
@@ -603,60 +3963,460 @@ const definition = {
 
                 const epNum = (meta.state && meta.state.endpoint) || 1;
                 const endpoint = getEndpoint(entity, epNum);
+                const device = entity.getDevice ? entity.getDevice() : entity;
                 const rawHex = getRawHexSetting(meta);
+                const target = getTarget(meta);
+                const where = `EP${epNum} ${targetLabel(target)}`;
+                const history = getWriteHistory(meta);
+
+                // Parse everything up front; malformed specs fail on their own below
+                const planned = specs.map((raw) => {
+                    const {spec, token} = splitConfirmToken(raw);
+                    try {
+                        return {raw, spec, token, ...parseWriteSpec(spec, target.cluster)};
+                    } catch (error) {
+                        return {raw, error};
+                    }
+                });
+
+                // One blocked or unconfirmed write holds back the whole batch
+                const dryRun = getDryRunSetting(meta);
+                const held = [];
+                for (const item of planned.filter((p) => !p.error)) {
+                    try {
+                        checkWritePolicy(device, target, item.attrId);
+                    } catch (error) {
+                        held.push(`✗ "${item.raw}": ${error.message}`);
+                        continue;
+                    }
+                    const prompt = dryRun ? null : confirmationPrompt(device, epNum, target, item.attrId, item.typeInfo, item.token, item.spec);
+                    if (prompt) held.push(prompt);
+                }
+                if (held.length > 0) {
+                    const summary = `${where} bulk write held, nothing sent: ${held.length} of ${specs.length} writes blocked or need confirmation`;
+                    console.log(`[ATTR-TOOL] ${summary}`);
+                    pushWriteHistory(history, summary);
+                    return {state: {bulk_write: value, bulk_write_result: `${summary}\n\n${held.join('\n')}`, ...writeHistoryState(history)}};
+                }
+
+                if (dryRun) {
+                    const lines = planned.map((item) => {
+                        if (item.error) return `✗ "${item.raw}": ${item.error.message}`;
+                        const danger = isDangerousAttr(item.attrId, target.cluster) ? ' ⚠ needs confirmation' : '';
+                        return `${attrLabel(item.attrId, target.cluster)} ← ${dataTypeName(item.typeInfo.type)}:${item.hexStr}${danger}\n    ZCL frame: ${writeFrameHex(device, target, item.attrId, item.typeInfo)}`;
+                    });
+                    const summary = `🧪 Dry run, nothing sent: ${where} bulk write of ${specs.length}`;
+                    console.log(`[ATTR-TOOL] ${summary}`);
+                    return {state: {bulk_write: value, bulk_write_result: `${summary}\n\n${lines.join('\n')}`}};
+                }
 
-                console.log(`[ATTR-TOOL] Bulk writing ${specs.length} attributes on EP${epNum}...`);
+                console.log(`[ATTR-TOOL] Bulk writing ${specs.length} attributes on ${where}...`);
 
                 const results = [];
                 let ok = 0;
-                let fail = 0;
-                let history = getWriteHistory(meta);
+                const failures = newFailureCounts();
+                const pacer = createPacer(getReadSettings(meta));
 
-                for (const spec of specs) {
+                for (const {raw, error: parseError, attrId, hexStr, typeInfo} of planned) {
                     try {
-                        const {attrId, hexStr, typeInfo} = parseWriteSpec(spec);
-                        const label = attrLabel(attrId);
-                        const typeNames = Object.entries(DATA_TYPES);
-                        const typeName = typeNames.find(([, v]) => v === typeInfo.type)?.[0] || `0x${typeInfo.type.toString(16)}`;
+                        if (parseError) throw parseError;
+                        const label = attrLabel(attrId, target.cluster);
+                        const typeName = dataTypeName(typeInfo.type);
+                        const undo = await captureUndo(endpoint, target, attrId);
 
-                        await endpoint.write(
-                            TARGET_CLUSTER,
-                            {[attrId]: {value: typeInfo.value, type: typeInfo.type}},
-                            {manufacturerCode, disableDefaultResponse: false},
-                        );
+                        await writeAttr(endpoint, target, attrId, typeInfo.value, typeInfo.type);
 
                         let readBack = '';
                         try {
-                            const rb = await readOneAttr(endpoint, attrId);
-                            if (rb.ok) readBack = ` → ${formatValue(rb.value, rawHex)}`;
+                            const rb = await readOneAttr(endpoint, attrId, target, pacer);
+                            if (rb.ok) readBack = ` → ${formatAttrValue(target.cluster, attrId, rb.value, rawHex)}`;
                         } catch { /* ignore */ }
 
-                        const msg = `✓ ${label} ← ${typeName}:${hexStr}${readBack}`;
+                        const msg = `✓ ${label} ← ${typeName}:${hexStr}${undoNote(undo)}${readBack}`;
                         results.push(msg);
-                        history.push(`[${timestamp()}] EP${epNum} ${msg}`);
+                        pushWriteHistory(history, `${where} ${msg}`, undo);
                         console.log(`[ATTR-TOOL] ${msg}`);
                         ok++;
                     } catch (error) {
-                        const msg = `✗ "${spec}": ${error.message}`;
+                        countFailure(failures, error);
+                        const msg = `✗ "${raw}": ${error.message}`;
                         results.push(msg);
-                        history.push(`[${timestamp()}] EP${epNum} ${msg}`);
+                        pushWriteHistory(history, `${where} ${msg}`);
                         console.error(`[ATTR-TOOL] ${msg}`);
-                        fail++;
                     }
-                    await new Promise((resolve) => setTimeout(resolve, 50));
+                    await pacerWait(pacer);
                 }
 
-                while (history.length > WRITE_HISTORY_MAX) history.shift();
-
-                const summary = `EP${epNum} bulk write: ${ok} ok, ${fail} failed out of ${specs.length}`;
+                const summary = `${where} bulk write: ${ok} ok, ${formatFailureCounts(failures)} out of ${specs.length}`;
                 console.log(`[ATTR-TOOL] ${summary}`);
 
                 return {
                     state: {
                         bulk_write: value,
                         bulk_write_result: `${summary}\n\n${results.join('\n')}`,
-                        write_history: history,
-                        write_history_log: history.join('\n'),
+                        ...writeHistoryState(history),
+                    },
+                };
+            },
+        },
+
+        // =================================================================
+        // UNDO — write back values captured before write_attribute/bulk_write
+        //
+        // Values:
+        //   "undo_last_write"                      - newest write not yet undone
+        //   "undo:12"                              - write history entry #12
+        //   "restore_all_since:2025-01-15 14:30:00" - every write since then (UTC)
+        // =================================================================
+        {
+            key: ['undo'],
+            convertSet: async (entity, key, value, meta) => {
+                const trimmed = value.toString().trim();
+                const separator = trimmed.indexOf(':');
+                const command = (separator === -1 ? trimmed : trimmed.substring(0, separator)).toLowerCase();
+                const arg = separator === -1 ? '' : trimmed.substring(separator + 1).trim();
+                const device = entity.getDevice ? entity.getDevice() : entity;
+                const rawHex = getRawHexSetting(meta);
+                const history = getWriteHistory(meta);
+                const undoable = history.filter((entry) => entry.undo && !entry.undone);
+
+                let entries;
+                if (command === 'undo_last_write') {
+                    if (undoable.length === 0) {
+                        throw new Error('No write left to undo in the history');
+                    }
+                    entries = [undoable[undoable.length - 1]];
+                } else if (command === 'undo') {
+                    const id = Number(arg);
+                    const entry = history.find((e) => e.id === id);
+                    if (!Number.isInteger(id) || !entry) {
+                        throw new Error(`No write history entry #${arg}`);
+                    }
+                    if (!entry.undo) {
+                        throw new Error(`#${id} has no recorded original value`);
+                    }
+                    if (entry.undone) {
+                        throw new Error(`#${id} was already undone`);
+                    }
+                    entries = [entry];
+                } else if (command === 'restore_all_since') {
+                    const since = parseHistoryTime(arg);
+                    entries = undoable.filter((entry) => parseHistoryTime(entry.timestamp) >= since);
+                    if (entries.length === 0) {
+                        throw new Error(`No undoable writes since ${arg}`);
+                    }
+                } else {
+                    throw new Error('Values: "undo_last_write", "undo:N", "restore_all_since:TIMESTAMP"');
+                }
+
+                // Several writes to one attribute: the oldest one holds the value to go back to.
+                // Newest first, so later writes are rolled back before earlier ones.
+                const byAttr = new Map();
+                for (const entry of entries) {
+                    const {ep, cluster, manufacturerCode, attrId} = entry.undo;
+                    const attrKey = `${ep}/${cluster}/${manufacturerCode}/${attrId}`;
+                    if (!byAttr.has(attrKey)) byAttr.set(attrKey, []);
+                    byAttr.get(attrKey).push(entry);
+                }
+                const groups = [...byAttr.values()].sort((a, b) => b[0].id - a[0].id);
+
+                const results = [];
+                let restored = 0;
+                const dryRun = getDryRunSetting(meta);
+                const pacer = createPacer(getReadSettings(meta));
+                for (const group of groups) {
+                    const ids = group.map((entry) => `#${entry.id}`).join(', ');
+                    try {
+                        const msg = await restoreUndo(device, group[0].undo, rawHex, dryRun, pacer);
+                        if (dryRun) {
+                            results.push(`${ids}: ${msg}`);
+                            continue;
+                        }
+                        group.forEach((entry) => {
+                            entry.undone = true;
+                        });
+                        results.push(`✓ ${ids}: ${msg}`);
+                        pushWriteHistory(history, `↶ Undo ${ids}: ${msg}`);
+                        restored++;
+                    } catch (error) {
+                        results.push(`✗ ${ids}: ${error.message}`);
+                        if (!dryRun) pushWriteHistory(history, `✗ Undo ${ids}: ${error.message}`);
+                    }
+                }
+
+                const summary = dryRun ?
+                    `Undo dry run: ${groups.length} attributes would be restored` :
+                    `Undo: ${restored}/${groups.length} attributes restored`;
+                console.log(`[ATTR-TOOL] ${summary}\n${results.join('\n')}`);
+                return {state: {undo: value, undo_result: `${summary}\n\n${results.join('\n')}`, ...writeHistoryState(history)}};
+            },
+        },
+
+        // =================================================================
+        // VALUE SWEEP — write each value in a range and record what happens
+        //
+        // Format: "0517:uint8:00-0a"
+        //    or:  "0517:uint8:00-0a:delay=2000:watch=0515,0516"
+        //
+        // The original value is read first and written back at the end.
+        // =================================================================
+        {
+            key: ['sweep'],
+            convertSet: async (entity, key, value, meta) => {
+                const sweep = parseSweepSpec(value.toString().trim());
+                const {attrId} = sweep;
+                if (getDryRunSetting(meta)) {
+                    throw new Error('Sweeps read the device between writes, so they can\'t dry-run. Turn dry_run off.');
+                }
+                refuseInQueueMode(meta, 'Sweeps');
+                const target = getTarget(meta);
+                if (isDangerousAttr(attrId, target.cluster)) {
+                    throw new Error(`${attrLabel(attrId, target.cluster)} is marked dangerous; sweeps don't write dangerous attributes`);
+                }
+
+                const epNum = (meta.state && meta.state.endpoint) || 1;
+                const endpoint = getEndpoint(entity, epNum);
+                const device = endpoint.getDevice ? endpoint.getDevice() : entity;
+                const rawHex = getRawHexSetting(meta);
+                const where = `EP${epNum} ${targetLabel(target)}`;
+                const label = attrLabel(attrId, target.cluster);
+                const format = (id, raw) => formatAttrValue(target.cluster, id, raw, rawHex);
+                const pacer = createPacer(getReadSettings(meta));
+                checkWritePolicy(device, target, attrId);
+
+                // Without the original value there is nothing to restore, so don't start.
+                // It is written back with the type the device reports, not the sweep's type.
+                let original;
+                let originalType;
+                try {
+                    const record = await readAttrRecord(endpoint, target, attrId);
+                    original = record.attrData;
+                    originalType = record.dataType;
+                } catch (error) {
+                    throw new Error(`Cannot read ${label} to restore it afterwards: ${error.message}`);
+                }
+
+                const watched = new Map();
+                for (const id of sweep.watch) {
+                    try {
+                        const result = await readOneAttr(endpoint, id, target, pacer);
+                        watched.set(id, result.ok ? format(id, result.value) : '(no data)');
+                    } catch {
+                        watched.set(id, '(unreadable)');
+                    }
+                }
+
+                const count = sweep.end - sweep.start + 1;
+                console.log(`[ATTR-TOOL] Sweeping ${label} on ${where}: ${count} values as ${sweep.typeStr}, original ${format(attrId, original)}`);
+
+                const rows = [];
+                let accepted = 0;
+                const reports = [];
+                const stopObserving = observeReports(device.ieeeAddr, reports);
+                let restored;
+
+                try {
+                    for (let v = sweep.start; v <= sweep.end; v++) {
+                        const hex = v.toString(16).padStart(sweep.width, '0');
+                        const effects = [];
+                        let outcome;
+                        reports.length = 0;
+
+                        try {
+                            const {typeInfo} = parseWriteSpec(`${attrHexStr(attrId).slice(2)}:${sweep.typeStr}:${hex}`, target.cluster);
+                            await writeAttr(endpoint, target, attrId, typeInfo.value, typeInfo.type);
+                            accepted++;
+                            try {
+                                const rb = await readOneAttr(endpoint, attrId, target, pacer);
+                                outcome = `✓ read-back ${rb.ok ? format(attrId, rb.value) : '(no data)'}`;
+                            } catch (error) {
+                                outcome = `✓ read-back failed: ${error.message}`;
+                            }
+                        } catch (error) {
+                            outcome = `✗ ${error.message}`;
+                        }
+
+                        // Give the device time to react before looking for effects
+                        await new Promise((resolve) => setTimeout(resolve, sweep.delay));
+
+                        for (const [id, before] of watched) {
+                            let now;
+                            try {
+                                const result = await readOneAttr(endpoint, id, target, pacer);
+                                now = result.ok ? format(id, result.value) : '(no data)';
+                            } catch {
+                                now = '(unreadable)';
+                            }
+                            if (now !== before) {
+                                effects.push(`${attrLabel(id, target.cluster)}: ${before} → ${now}`);
+                                watched.set(id, now);
+                            }
+                        }
+                        effects.push(...reports.map((entry) => `report: ${entry}`));
+
+                        console.log(`[ATTR-TOOL] Sweep ${label} = 0x${hex}: ${outcome}${effects.length > 0 ? `, ${effects.length} effects` : ''}`);
+                        rows.push([`0x${hex}: ${outcome}`, ...effects.map((effect) => `      ${effect}`)].join('\n'));
+                    }
+                } finally {
+                    stopObserving();
+                    try {
+                        await writeAttr(endpoint, target, attrId, original, originalType);
+                        restored = `restored to ${format(attrId, original)}`;
+                    } catch (error) {
+                        restored = `RESTORE FAILED (original ${format(attrId, original)}): ${error.message}`;
+                    }
+                    console.log(`[ATTR-TOOL] Sweep ${label}: ${restored}`);
+                }
+
+                const summary = `${where} sweep ${label} ${sweep.typeStr} ${sweep.start.toString(16).padStart(sweep.width, '0')}-${sweep.end.toString(16).padStart(sweep.width, '0')}, delay ${sweep.delay}ms: ${accepted} accepted, ${count - accepted} rejected; ${restored}`;
+                console.log(`[ATTR-TOOL] ${summary}`);
+
+                const history = appendWriteHistory(meta, summary);
+                return {
+                    state: {
+                        sweep: value,
+                        sweep_result: `${summary}\n\n${rows.join('\n')}`,
+                        ...writeHistoryState(history),
+                    },
+                };
+            },
+        },
+
+        // =================================================================
+        // SEND RAW CLUSTER COMMAND
+        //
+        // Formats:
+        //   "genOnOff:02:c2s:"                  - toggle, empty payload
+        //   "manuSpecificLumi:00:c2s:115f:0102" - with manufacturer code
+        //   "0xFCC0:05:s2c:none:ff"             - hex cluster ID, server to client
+        // =================================================================
+        {
+            key: ['send_command'],
+            convertSet: async (entity, key, value, meta) => {
+                const cmd = parseCommandSpec(value.toString().trim());
+
+                const epNum = (meta.state && meta.state.endpoint) || 1;
+                const endpoint = getEndpoint(entity, epNum);
+                const device = entity.getDevice ? entity.getDevice() : entity;
+                const name = commandLabel(endpoint, cmd.target, cmd.cmdId, cmd.direction === Zcl.Direction.SERVER_TO_CLIENT);
+                const sent = `EP${epNum} ${targetLabel(cmd.target)} cmd ${name} ${cmd.dirKey} payload: ${cmd.hexStr.toUpperCase() || '(empty)'}`;
+
+                if (getDryRunSetting(meta)) {
+                    let policy = '';
+                    try {
+                        checkCommandPolicy(device, cmd);
+                    } catch (error) {
+                        policy = `\n✗ ${error.message}`;
+                    }
+                    const frame = encodeFrameHex(device, Zcl.FrameType.SPECIFIC, cmd.direction, cmd.target, rawCommandDefinition(endpoint, cmd), {data: cmd.payload});
+                    const resultMsg = `🧪 Dry run, nothing sent: ${sent}\nZCL frame: ${frame}${policy}`;
+                    console.log(`[ATTR-TOOL] ${resultMsg}`);
+                    return {state: {send_command: value, command_result: resultMsg}};
+                }
+
+                console.log(`[ATTR-TOOL] Sending ${sent}`);
+
+                let resultMsg;
+                try {
+                    checkCommandPolicy(device, cmd);
+                    const response = await sendRawCommand(endpoint, cmd);
+                    resultMsg = `✓ ${sent} → ${response}`;
+                    console.log(`[ATTR-TOOL] ${resultMsg}`);
+                } catch (error) {
+                    resultMsg = `✗ ${sent}: ${error.message}`;
+                    console.error(`[ATTR-TOOL] ${resultMsg}`);
+                }
+
+                const history = appendWriteHistory(meta, resultMsg);
+                return {state: {send_command: value, command_result: resultMsg, ...writeHistoryState(history)}};
+            },
+        },
+
+        // =================================================================
+        // TUYA DATAPOINTS — write a DP / query the MCU state
+        //
+        // tuya_dp_write formats (DP in decimal):
+        //   "1:bool:1"        - boolean
+        //   "2:value:300"     - 32-bit integer
+        //   "4:enum:2"        - enum
+        //   "5:bitmap:0x03"   - bitmap
+        //   "6:string:hello"  - string
+        //   "101:raw:0102ff"  - raw bytes in hex
+        // tuya_query: any value — asks the MCU to report all DPs
+        // =================================================================
+        {
+            key: ['tuya_dp_write', 'tuya_query'],
+            convertSet: async (entity, key, value, meta) => {
+                const epNum = (meta.state && meta.state.endpoint) || 1;
+                const endpoint = getEndpoint(entity, epNum);
+                const device = entity.getDevice ? entity.getDevice() : entity;
+                const commandName = key === 'tuya_query' ? 'dataQuery' : 'dataRequest';
+                // DP writes and queries are commands, so COMMAND_DENYLIST and dry_run apply
+                checkCommandPolicy(device, {
+                    target: {cluster: 'manuSpecificTuya'},
+                    cmdId: Zcl.Clusters.manuSpecificTuya.commands[commandName].ID,
+                });
+                const dryRun = getDryRunSetting(meta);
+                const dryRunMsg = (sent, payload) => {
+                    const frame = encodeFrameHex(device, Zcl.FrameType.SPECIFIC, Zcl.Direction.CLIENT_TO_SERVER,
+                        {cluster: 'manuSpecificTuya'}, commandName, payload);
+                    const resultMsg = `🧪 Dry run, nothing sent: EP${epNum} Tuya ${commandName} ${sent}\nZCL frame: ${frame}`;
+                    console.log(`[ATTR-TOOL] ${resultMsg}`);
+                    return resultMsg;
+                };
+
+                if (key === 'tuya_query') {
+                    if (dryRun) {
+                        return {state: {tuya_result: dryRunMsg('(all DPs)', {})}};
+                    }
+                    console.log(`[ATTR-TOOL] Tuya: querying all DPs on EP${epNum}`);
+                    try {
+                        await endpoint.command('manuSpecificTuya', 'dataQuery', {}, {disableDefaultResponse: true});
+                        const resultMsg = `✓ EP${epNum} Tuya dataQuery sent — DP reports will appear in the report log`;
+                        return {state: {tuya_result: resultMsg}};
+                    } catch (error) {
+                        const resultMsg = `✗ EP${epNum} Tuya dataQuery: ${error.message}`;
+                        console.error(`[ATTR-TOOL] ${resultMsg}`);
+                        return {state: {tuya_result: resultMsg}};
+                    }
+                }
+
+                const dpValue = parseTuyaDpSpec(value.toString());
+                const dpText = `DP ${dpValue.dp} (${tuyaTypeName(dpValue.datatype)}) ← ${dpValue.data.toString('hex').toUpperCase()}`;
+                if (dryRun) {
+                    return {state: {tuya_dp_write: value, tuya_result: dryRunMsg(dpText, {seq: 0, dpValues: [dpValue]})}};
+                }
+                const seq = nextTuyaSeq(meta);
+
+                console.log(`[ATTR-TOOL] Tuya: writing ${dpText} on EP${epNum} (seq ${seq})`);
+
+                const event = recordTimeline(endpoint.deviceIeeeAddress, {
+                    type: 'write',
+                    ep: epNum,
+                    cluster: 'manuSpecificTuya',
+                    attr: `DP ${dpValue.dp}`,
+                    text: dpText,
+                });
+
+                let resultMsg;
+                try {
+                    await endpoint.command('manuSpecificTuya', 'dataRequest', {seq, dpValues: [dpValue]}, {disableDefaultResponse: true});
+                    resultMsg = `✓ EP${epNum} Tuya dataRequest seq ${seq}: ${dpText}`;
+                    console.log(`[ATTR-TOOL] ${resultMsg}`);
+                } catch (error) {
+                    event.failed = true;
+                    event.text += ` ✗ ${error.message}`;
+                    resultMsg = `✗ EP${epNum} Tuya dataRequest seq ${seq}: ${dpText}: ${error.message}`;
+                    console.error(`[ATTR-TOOL] ${resultMsg}`);
+                }
+
+                const history = appendWriteHistory(meta, resultMsg);
+                return {
+                    state: {
+                        tuya_dp_write: value,
+                        tuya_result: resultMsg,
+                        tuya_seq: seq,
+                        ...writeHistoryState(history),
                     },
                 };
             },
@@ -671,6 +4431,8 @@ const definition = {
         {
             key: ['scan_range'],
             convertSet: async (entity, key, value, meta) => {
+                if (shouldDefer(meta)) return deferRequest(entity, key, value, meta);
+
                 const trimmed = value.toString().trim().replace(/^0x/i, '');
                 const rangeParts = trimmed.split('-');
                 const rawHex = getRawHexSetting(meta);
@@ -696,19 +4458,21 @@ const definition = {
 
                 const epNum = (meta.state && meta.state.endpoint) || 1;
                 const endpoint = getEndpoint(entity, epNum);
+                const target = getTarget(meta);
 
-                console.log(`[ATTR-TOOL] Scanning ${attrHexStr(startId)}-${attrHexStr(endId)} (${count} attrs) on EP${epNum}...`);
+                console.log(`[ATTR-TOOL] Scanning ${attrHexStr(startId)}-${attrHexStr(endId)} (${count} attrs) on EP${epNum} ${targetLabel(target)}...`);
 
                 const results = [];
                 let found = 0;
-                let errors = 0;
+                const failures = newFailureCounts();
+                const pacer = createPacer(getReadSettings(meta));
 
                 for (let id = startId; id <= endId; id++) {
-                    const label = attrLabel(id);
+                    const label = attrLabel(id, target.cluster);
                     try {
-                        const result = await readOneAttr(endpoint, id);
+                        const result = await readOneAttr(endpoint, id, target, pacer);
                         if (result.ok) {
-                            const formatted = formatValue(result.value, rawHex);
+                            const formatted = formatAttrValue(target.cluster, id, result.value, rawHex);
                             results.push(`${label} = ${formatted}`);
                             console.log(`[ATTR-TOOL] ✓ ${label} = ${formatted}`);
                             found++;
@@ -716,16 +4480,16 @@ const definition = {
                             results.push(`${label}: No data`);
                         }
                     } catch (error) {
-                        const msg = error.message.includes('UNSUPPORTED_ATTRIBUTE') ? 'unsupported' : error.message;
-                        results.push(`${label}: ${msg}`);
-                        errors++;
+                        const kind = countFailure(failures, error);
+                        results.push(`${label}: ${kind === 'failed' ? error.message : kind}`);
                     }
 
-                    // Brief pause between reads to avoid flooding
-                    await new Promise((resolve) => setTimeout(resolve, 50));
+                    // Pause between reads to avoid flooding
+                    await pacerWait(pacer);
                 }
 
-                const summary = `EP${epNum} scan ${attrHexStr(startId)}-${attrHexStr(endId)}: ${found} found, ${errors} errors, ${count - found - errors} empty`;
+                const failed = failures.unsupported + failures.timeouts + failures.failed;
+                const summary = `EP${epNum} ${targetLabel(target)} scan ${attrHexStr(startId)}-${attrHexStr(endId)}: ${found} found, ${formatFailureCounts(failures)}, ${count - found - failed} empty`;
                 console.log(`[ATTR-TOOL] ${summary}`);
 
                 return {
@@ -737,15 +4501,184 @@ const definition = {
             },
         },
 
+        // =================================================================
+        // SCAN JOB — background scan without a size limit
+        //
+        // Values:
+        //   "start:0000-ffff"     - start a job on the current endpoint
+        //   "start:ep1:0000-ffff;ep2:0000-ffff" - several endpoints
+        //   "pause" / "resume" / "cancel"
+        //   "status"              - publish progress now
+        // =================================================================
+        {
+            key: ['scan_job'],
+            convertSet: async (entity, key, value, meta) => {
+                const trimmed = value.toString().trim();
+                const command = trimmed.split(':')[0].toLowerCase();
+                const device = entity.getDevice ? entity.getDevice() : entity;
+                let job = scanJobs.get(device.ieeeAddr);
+
+                if (command === 'start') {
+                    refuseInQueueMode(meta, 'Scan jobs');
+                    if (job && ['running', 'paused'].includes(job.status)) {
+                        throw new Error(`A scan job is ${job.status} (${job.spec}). Cancel it first.`);
+                    }
+                    const epNum = (meta.state && meta.state.endpoint) || 1;
+                    const groups = parseEndpointAttrSpec(trimmed.substring(6), epNum);
+                    groups.forEach((group) => getEndpoint(entity, group.ep));
+
+                    job = {
+                        ieeeAddr: device.ieeeAddr,
+                        spec: formatEndpointAttrSpec(groups),
+                        target: getTarget(meta),
+                        rawHex: getRawHexSetting(meta),
+                        read: getReadSettings(meta),
+                        status: 'running',
+                        total: groups.reduce((sum, group) => sum + group.ids.length, 0),
+                        nextIndex: 0,
+                        hits: [],
+                        counts: {found: 0, ...newFailureCounts()},
+                        startedAt: timestamp(),
+                        elapsedMs: 0,
+                        publish: meta.publish,
+                        loopActive: false,
+                        stopped: false,
+                    };
+                    scanJobs.set(device.ieeeAddr, job);
+                    console.log(`[ATTR-TOOL] Scan job started: ${job.spec} (${job.total} attrs) on ${targetLabel(job.target)}`);
+                    // Not awaited: the job outlives this request
+                    runScanJob(job, device);
+                    return {state: {scan_job: value, ...scanJobState(job)}};
+                }
+
+                // After a restart the job may only exist as a checkpoint
+                if (!job) {
+                    job = loadScanCheckpoint(device.ieeeAddr);
+                    if (job) scanJobs.set(device.ieeeAddr, job);
+                }
+                if (!job) {
+                    throw new Error('No scan job. Start one with "start:0000-ffff".');
+                }
+                job.publish = meta.publish;
+
+                if (command === 'pause') {
+                    if (job.status !== 'running') {
+                        throw new Error(`Scan job is ${job.status}, not running`);
+                    }
+                    job.status = 'paused';
+                    console.log(`[ATTR-TOOL] Scan job paused at ${job.nextIndex}/${job.total}`);
+                } else if (command === 'resume') {
+                    refuseInQueueMode(meta, 'Scan jobs');
+                    if (!['paused', 'running'].includes(job.status)) {
+                        throw new Error(`Scan job is ${job.status}. Start a new one.`);
+                    }
+                    job.status = 'running';
+                    job.stopped = false;
+                    job.read = getReadSettings(meta);
+                    // A paused loop may still be finishing its last read; it then just carries on
+                    if (!job.loopActive) {
+                        console.log(`[ATTR-TOOL] Scan job resumed at ${job.nextIndex}/${job.total}`);
+                        runScanJob(job, device);
+                    }
+                } else if (command === 'cancel') {
+                    if (!['paused', 'running'].includes(job.status)) {
+                        throw new Error(`Scan job is already ${job.status}`);
+                    }
+                    job.status = 'cancelled';
+                    removeScanCheckpoint(job.ieeeAddr);
+                    console.log(`[ATTR-TOOL] Scan job cancelled at ${job.nextIndex}/${job.total}`);
+                } else if (command !== 'status') {
+                    throw new Error('Values: "start:SPEC", "pause", "resume", "cancel", "status"');
+                }
+
+                return {state: {scan_job: value, ...scanJobState(job)}};
+            },
+        },
+
+        // =================================================================
+        // WATCH — poll attributes in the background, log changes
+        //
+        // Values:
+        //   "0515,0516,0530:every=5s" - start a watch on the current endpoint
+        //                               (every=1500ms / 5s / 2m, default 10s)
+        //   "list"                    - current values and counts
+        //   "stop" / "stop:2"         - stop all watches, or watch #2
+        // =================================================================
+        {
+            key: ['watch'],
+            convertSet: async (entity, key, value, meta) => {
+                const trimmed = value.toString().trim();
+                const [command, idStr] = trimmed.split(':').map((p) => p.trim().toLowerCase());
+                const device = entity.getDevice ? entity.getDevice() : entity;
+                const watchList = deviceWatches(device.ieeeAddr);
+                // Changes go out through the newest request, on top of the current report log
+                rememberReportLog(device.ieeeAddr, (meta.state && meta.state.report_log) || [],
+                    (meta.state && meta.state.report_filter) || '');
+                for (const watch of watchList.list) {
+                    watch.publish = meta.publish;
+                }
+
+                if (command === 'stop') {
+                    const stopping = idStr ? watchList.list.filter((watch) => watch.id === Number(idStr)) : watchList.list;
+                    if (stopping.length === 0) {
+                        throw new Error(idStr ? `No watch #${idStr}` : 'No watches running');
+                    }
+                    stopping.forEach(stopWatch);
+                    watchList.list = watchList.list.filter((watch) => !watch.stopped);
+                } else if (command !== 'list') {
+                    refuseInQueueMode(meta, 'Watches');
+                    const {ids, everyMs} = parseWatchSpec(trimmed);
+                    const epNum = (meta.state && meta.state.endpoint) || 1;
+                    getEndpoint(entity, epNum);
+
+                    const watch = {
+                        id: watchList.nextId++,
+                        ieeeAddr: device.ieeeAddr,
+                        ep: epNum,
+                        ids,
+                        everyMs,
+                        target: getTarget(meta),
+                        rawHex: getRawHexSetting(meta),
+                        values: new Map(),
+                        failures: new Map(),
+                        counts: newFailureCounts(),
+                        polls: 0,
+                        changes: 0,
+                        startedAt: timestamp(),
+                        pacer: createPacer(getReadSettings(meta)),
+                        publish: meta.publish,
+                        timer: null,
+                        stopped: false,
+                    };
+                    watchList.list.push(watch);
+                    console.log(`[ATTR-TOOL] Watch #${watch.id} started: ${ids.length} attrs every ` +
+                        `${formatDuration(everyMs)} on EP${epNum} ${targetLabel(watch.target)}`);
+                    scheduleWatch(watch, device, 0);
+                }
+
+                return {state: {watch: value, watch_status: watchStatusText(device.ieeeAddr)}};
+            },
+        },
+
         // =================================================================
         // SNAPSHOT / COMPARE / EXPORT / IMPORT
         //
         // Values:
         //   "snapshot:0515-0530"  - take a snapshot of the range
-        //   "compare"             - re-read the snapshot range and diff
+        //   "snapshot:ep1:0000-007f,00f7,0500-0535;ep2:0500-0520"
+        //                         - ranges and single IDs on several endpoints
+        //   "compare"             - re-read the snapshot attributes and diff
         //   "export"              - export current snapshot as JSON string
         //   "import:{json}"       - import a previously exported snapshot
         //   "clear"               - clear stored snapshot
+        //   "snapshot:list"       - list snapshots saved in the snapshot store
+        //   "snapshot:load:NAME"  - make a saved snapshot the current one
+        //   "snapshot:delete:NAME" - delete a saved snapshot
+        //   "snapshot:NAME:SPEC"  - take a snapshot and save it as NAME
+        //   "diff:A:B"            - diff two saved snapshots offline
+        //   "diff:BASE:A:B"       - three-way diff: baseline vs. states A and B
+        //
+        // Snapshots and imports are saved to SNAPSHOT_STORE_FILE as well as state.
         // =================================================================
         {
             key: ['snapshot'],
@@ -753,6 +4686,74 @@ const definition = {
                 const trimmed = value.toString().trim();
                 const trimmedLower = trimmed.toLowerCase();
                 const rawHex = getRawHexSetting(meta);
+                const device = entity.getDevice ? entity.getDevice() : entity;
+
+                // --- LIST ---
+                if (trimmedLower === 'snapshot:list') {
+                    const snapshots = getDeviceSnapshots(device.ieeeAddr);
+                    const names = Object.keys(snapshots).sort();
+                    const lines = names.map((name) => `  ${name}: ${snapshotSummary(snapshots[name])}`);
+                    const output = names.length > 0
+                        ? `${names.length} saved snapshot${names.length === 1 ? '' : 's'} in ${snapshotStorePath()}\n\n${lines.join('\n')}`
+                        : `No saved snapshots for ${device.ieeeAddr}`;
+                    console.log(`[ATTR-TOOL] ${output}`);
+                    return {state: {snapshot: value, snapshot_result: output}};
+                }
+
+                // --- LOAD ---
+                if (trimmedLower.startsWith('snapshot:load:')) {
+                    const name = parseSnapshotName(trimmed.substring(14));
+                    const snapshot = getDeviceSnapshots(device.ieeeAddr)[name];
+                    if (!snapshot) {
+                        throw new Error(`No saved snapshot "${name}". Use "snapshot:list".`);
+                    }
+                    const detail = snapshotDetail(snapshot);
+                    console.log(`[ATTR-TOOL] Snapshot "${name}" loaded: ${snapshotSummary(snapshot)}`);
+                    return {
+                        state: {
+                            snapshot: value,
+                            snapshot_result: `Loaded "${name}": ${snapshotSummary(snapshot)}\n\n${detail}`,
+                            ...snapshotToState(snapshot, name),
+                        },
+                    };
+                }
+
+                // --- DELETE ---
+                if (trimmedLower.startsWith('snapshot:delete:')) {
+                    const name = parseSnapshotName(trimmed.substring(16));
+                    if (!deleteSnapshot(device.ieeeAddr, name)) {
+                        throw new Error(`No saved snapshot "${name}". Use "snapshot:list".`);
+                    }
+                    console.log(`[ATTR-TOOL] Snapshot "${name}" deleted`);
+                    return {state: {snapshot: value, snapshot_result: `Deleted saved snapshot "${name}"`}};
+                }
+
+                // --- DIFF ---
+                if (trimmedLower.startsWith('diff:')) {
+                    const names = trimmed.substring(5).split(':').map(parseSnapshotName);
+                    if (names.length < 2 || names.length > 3) {
+                        throw new Error('Format: "diff:A:B" or "diff:BASELINE:A:B"');
+                    }
+                    const saved = getDeviceSnapshots(device.ieeeAddr);
+                    const named = names.map((name) => {
+                        if (!saved[name]) {
+                            throw new Error(`No saved snapshot "${name}". Use "snapshot:list".`);
+                        }
+                        return {name, snapshot: saved[name]};
+                    });
+
+                    const {changes, unchanged, notes} = diffSnapshots(named, rawHex);
+                    const title = names.length === 3
+                        ? `3-way diff, baseline "${names[0]}", A "${names[1]}", B "${names[2]}"`
+                        : `Diff "${names[0]}" → "${names[1]}"`;
+                    const summary = changes.length > 0
+                        ? `${title}: ${changes.length} changed, ${unchanged} unchanged`
+                        : `${title}: No changes (${unchanged} attributes unchanged)`;
+                    const output = [summary, ...notes, ...changes].join('\n\n');
+
+                    console.log(`[ATTR-TOOL] ${summary}`);
+                    return {state: {snapshot: value, snapshot_result: output}};
+                }
 
                 // --- CLEAR ---
                 if (trimmedLower === 'clear') {
@@ -762,9 +4763,13 @@ const definition = {
                             snapshot: 'clear',
                             snapshot_result: 'Snapshot cleared',
                             snapshot_data: undefined,
+                            snapshot_spec: undefined,
                             snapshot_start: undefined,
                             snapshot_end: undefined,
                             snapshot_ep: undefined,
+                            snapshot_target: undefined,
+                            snapshot_name: undefined,
+                            snapshot_timestamp: undefined,
                             snapshot_export: undefined,
                         },
                     };
@@ -772,31 +4777,19 @@ const definition = {
 
                 // --- EXPORT ---
                 if (trimmedLower === 'export') {
-                    const snapData = meta.state && meta.state.snapshot_data;
-                    const snapStart = meta.state && meta.state.snapshot_start;
-                    const snapEnd = meta.state && meta.state.snapshot_end;
-                    const snapEp = meta.state && meta.state.snapshot_ep;
-
-                    if (!snapData || snapStart === undefined) {
+                    const exportObj = snapshotFromState(meta);
+                    if (!exportObj) {
                         throw new Error('No snapshot to export. Take one first.');
                     }
 
-                    const exportObj = {
-                        cluster: TARGET_CLUSTER,
-                        manufacturerCode,
-                        endpoint: snapEp,
-                        rangeStart: snapStart,
-                        rangeEnd: snapEnd,
-                        timestamp: timestamp(),
-                        attributes: snapData,
-                    };
+                    const count = snapshotEntries(exportObj).length;
                     const json = JSON.stringify(exportObj);
-                    console.log(`[ATTR-TOOL] Snapshot exported (${Object.keys(snapData).length} attrs, ${json.length} bytes)`);
+                    console.log(`[ATTR-TOOL] Snapshot exported (${count} attrs, ${json.length} bytes)`);
 
                     return {
                         state: {
                             snapshot: 'export',
-                            snapshot_result: `Exported ${Object.keys(snapData).length} attributes (copy the snapshot_export field)`,
+                            snapshot_result: `Exported ${count} attributes (copy the snapshot_export field)`,
                             snapshot_export: json,
                         },
                     };
@@ -812,82 +4805,90 @@ const definition = {
                         throw new Error(`Invalid JSON: ${e.message}`);
                     }
 
-                    if (!importObj.attributes || importObj.rangeStart === undefined || importObj.rangeEnd === undefined) {
-                        throw new Error('Invalid snapshot format. Expected {attributes, rangeStart, rangeEnd, endpoint}');
-                    }
-
-                    const count = Object.keys(importObj.attributes).length;
-                    const ep = importObj.endpoint || 1;
-                    console.log(`[ATTR-TOOL] Snapshot imported: ${count} attrs, EP${ep}, range ${attrHexStr(importObj.rangeStart)}-${attrHexStr(importObj.rangeEnd)}`);
+                    const normalized = normalizeSnapshot(importObj);
+                    const imported = {...normalized, timestamp: normalized.timestamp || timestamp()};
+                    const saved = saveSnapshotNote(device, undefined, imported);
+                    console.log(`[ATTR-TOOL] Snapshot imported: ${snapshotSummary(imported)}${saved.note}`);
 
-                    const detail = Object.entries(importObj.attributes)
-                        .map(([k, v]) => `  ${attrLabel(Number.parseInt(k, 16))} = ${v.formatted}`)
-                        .join('\n');
+                    const detail = snapshotDetail(imported);
 
                     return {
                         state: {
                             snapshot: 'import',
-                            snapshot_result: `Imported ${count} attrs from EP${ep} ${attrHexStr(importObj.rangeStart)}-${attrHexStr(importObj.rangeEnd)}${importObj.timestamp ? ' (taken ' + importObj.timestamp + ')' : ''}\n\n${detail}`,
-                            snapshot_data: importObj.attributes,
-                            snapshot_start: importObj.rangeStart,
-                            snapshot_end: importObj.rangeEnd,
-                            snapshot_ep: ep,
+                            snapshot_result: `Imported ${snapshotSummary(imported)}${saved.note}\n\n${detail}`,
+                            ...snapshotToState(imported, saved.name),
                         },
                     };
                 }
 
-                const epNum = (meta.state && meta.state.endpoint) || 1;
-                const endpoint = getEndpoint(entity, epNum);
-
                 // --- COMPARE ---
                 if (trimmedLower === 'compare') {
-                    const snapData = meta.state && meta.state.snapshot_data;
-                    const snapStart = meta.state && meta.state.snapshot_start;
-                    const snapEnd = meta.state && meta.state.snapshot_end;
-                    const snapEp = meta.state && meta.state.snapshot_ep;
+                    refuseInQueueMode(meta, 'Snapshot compares');
+                    const snapshot = snapshotFromState(meta);
+                    const snapTarget = getSnapshotTarget(meta);
 
-                    if (!snapData || snapStart === undefined) {
+                    if (!snapshot) {
                         throw new Error('No snapshot stored. Use "snapshot:0515-0530" first.');
                     }
 
-                    console.log(`[ATTR-TOOL] Comparing snapshot ${attrHexStr(snapStart)}-${attrHexStr(snapEnd)} on EP${snapEp}...`);
+                    console.log(`[ATTR-TOOL] Comparing snapshot ${snapshot.spec} on ${targetLabel(snapTarget)}...`);
 
-                    const compareEp = getEndpoint(entity, snapEp);
+                    const groups = parseEndpointAttrSpec(snapshot.spec, 1);
+                    const multiEp = groups.length > 1;
                     const changes = [];
                     let unchanged = 0;
-
-                    for (let id = snapStart; id <= snapEnd; id++) {
-                        const hexKey = id.toString(16).toLowerCase().padStart(4, '0');
-                        const oldEntry = snapData[hexKey];
-                        const label = attrLabel(id);
-
-                        try {
-                            const result = await readOneAttr(compareEp, id);
-                            if (result.ok) {
-                                const newFormatted = formatValue(result.value, rawHex);
-                                const oldFormatted = oldEntry ? oldEntry.formatted : '(not in snapshot)';
-
-                                if (newFormatted !== oldFormatted) {
-                                    changes.push(`≠ ${label}\n    was: ${oldFormatted}\n    now: ${newFormatted}`);
-                                    console.log(`[ATTR-TOOL] CHANGED ${label}: ${oldFormatted} → ${newFormatted}`);
-                                } else {
-                                    unchanged++;
+                    const failures = newFailureCounts();
+                    const pacer = createPacer(getReadSettings(meta));
+
+                    for (const {ep, ids} of groups) {
+                        const compareEp = getEndpoint(entity, ep);
+                        const snapData = snapshot.endpoints[ep] || {};
+
+                        for (const id of ids) {
+                            const hexKey = id.toString(16).toLowerCase().padStart(4, '0');
+                            const oldEntry = snapData[hexKey];
+                            const label = snapshotAttrLabel(ep, id, multiEp, snapTarget.cluster);
+
+                            try {
+                                const result = await readOneAttr(compareEp, id, snapTarget, pacer);
+                                if (result.ok) {
+                                    const newFormatted = formatAttrValue(snapTarget.cluster, id, result.value, rawHex);
+                                    const oldFormatted = oldEntry ? oldEntry.formatted : '(not in snapshot)';
+                                    const oldTlv = oldEntry && isLumiTlvAttr(snapTarget.cluster, id) ? lumiTlvEntries(oldEntry.raw) : null;
+                                    const newTlv = oldTlv ? lumiTlvEntries(result.value) : null;
+
+                                    if (oldTlv && newTlv) {
+                                        const tagChanges = diffLumiTlv(oldTlv, newTlv, rawHex);
+                                        if (tagChanges.length > 0) {
+                                            changes.push(`≠ ${label} (${tagChanges.length} tags changed)\n${tagChanges.join('\n')}`);
+                                            console.log(`[ATTR-TOOL] CHANGED ${label}: ${tagChanges.length} tags`);
+                                        } else {
+                                            unchanged++;
+                                        }
+                                    } else if (newFormatted !== oldFormatted) {
+                                        changes.push(`≠ ${label}\n    was: ${oldFormatted}\n    now: ${newFormatted}`);
+                                        console.log(`[ATTR-TOOL] CHANGED ${label}: ${oldFormatted} → ${newFormatted}`);
+                                    } else {
+                                        unchanged++;
+                                    }
+                                } else if (oldEntry) {
+                                    changes.push(`≠ ${label}\n    was: ${oldEntry.formatted}\n    now: (no data)`);
+                                }
+                            } catch (error) {
+                                const kind = countFailure(failures, error);
+                                if (oldEntry) {
+                                    const now = kind === 'timeout' ? 'TIMEOUT' : `ERROR (${error.message})`;
+                                    changes.push(`≠ ${label}\n    was: ${oldEntry.formatted}\n    now: ${now}`);
                                 }
-                            } else if (oldEntry) {
-                                changes.push(`≠ ${label}\n    was: ${oldEntry.formatted}\n    now: (no data)`);
-                            }
-                        } catch (error) {
-                            if (oldEntry) {
-                                changes.push(`≠ ${label}\n    was: ${oldEntry.formatted}\n    now: ERROR (${error.message})`);
                             }
-                        }
 
-                        await new Promise((resolve) => setTimeout(resolve, 50));
+                            await pacerWait(pacer);
+                        }
                     }
 
                     const summary = changes.length > 0
-                        ? `${changes.length} changed, ${unchanged} unchanged`
-                        : `No changes detected (${unchanged} attributes unchanged)`;
+                        ? `${targetLabel(snapTarget)} ${snapshot.spec}: ${changes.length} changed, ${unchanged} unchanged; ${formatFailureCounts(failures)}`
+                        : `${targetLabel(snapTarget)} ${snapshot.spec}: No changes detected (${unchanged} attributes unchanged; ${formatFailureCounts(failures)})`;
 
                     const output = changes.length > 0
                         ? `${summary}\n\n${changes.join('\n\n')}`
@@ -899,61 +4900,76 @@ const definition = {
 
                 // --- SNAPSHOT ---
                 if (!trimmedLower.startsWith('snapshot:')) {
-                    throw new Error('Format: "snapshot:START-END", "compare", "export", "import:{json}", or "clear"');
-                }
-
-                const rangePart = trimmedLower.replace('snapshot:', '').trim().replace(/^0x/i, '');
-                const rangeParts = rangePart.split('-');
-
-                if (rangeParts.length !== 2) {
-                    throw new Error('Format: "snapshot:0515-0530"');
-                }
-
-                const startId = parseAttrHex(rangeParts[0]);
-                const endId = parseAttrHex(rangeParts[1]);
-
-                if (startId === null || endId === null) {
-                    throw new Error(`Invalid range: "${rangePart}"`);
+                    throw new Error('Format: "snapshot:SPEC", "snapshot:NAME:SPEC", "compare", "diff:A:B", "export", "import:{json}", "clear", "snapshot:list", "snapshot:load:NAME" or "snapshot:delete:NAME"');
                 }
-                if (startId > endId) {
-                    throw new Error('Start must be <= end');
+                refuseInQueueMode(meta, 'Snapshots');
+
+                // Optional name before the spec: "snapshot:night_mode:0515-0530". A
+                // leading "epN:" belongs to the spec, so snapshots can't be named "epN".
+                let snapName;
+                let specPart = trimmed.substring(9).trim();
+                const nameSep = specPart.indexOf(':');
+                if (nameSep !== -1 && !/^ep\d+$/i.test(specPart.slice(0, nameSep).trim())) {
+                    snapName = parseSnapshotName(specPart.slice(0, nameSep));
+                    specPart = specPart.slice(nameSep + 1).trim();
                 }
 
-                const count = endId - startId + 1;
-                if (count > 128) {
-                    throw new Error(`Range too large (${count}). Max 128.`);
+                const epNum = (meta.state && meta.state.endpoint) || 1;
+                const groups = parseEndpointAttrSpec(specPart, epNum);
+                const count = groups.reduce((sum, group) => sum + group.ids.length, 0);
+                if (count > SNAPSHOT_MAX_ATTRIBUTES) {
+                    throw new Error(`Snapshot too large (${count} attrs). Max ${SNAPSHOT_MAX_ATTRIBUTES}.`);
                 }
+                // Resolve every endpoint up front so a typo fails before any reads
+                const endpoints = groups.map((group) => getEndpoint(entity, group.ep));
+                const spec = formatEndpointAttrSpec(groups);
+                const multiEp = groups.length > 1;
 
-                console.log(`[ATTR-TOOL] Snapshotting ${attrHexStr(startId)}-${attrHexStr(endId)} (${count} attrs) on EP${epNum}...`);
+                const target = getTarget(meta);
+                console.log(`[ATTR-TOOL] Snapshotting ${spec} (${count} attrs) on ${targetLabel(target)}...`);
 
                 const snapData = {};
                 let found = 0;
+                const failures = newFailureCounts();
+                const pacer = createPacer(getReadSettings(meta));
 
-                for (let id = startId; id <= endId; id++) {
-                    const hexKey = id.toString(16).toLowerCase().padStart(4, '0');
-                    const label = attrLabel(id);
+                for (const [index, {ep, ids}] of groups.entries()) {
+                    snapData[ep] = {};
+                    for (const id of ids) {
+                        const hexKey = id.toString(16).toLowerCase().padStart(4, '0');
+                        const label = snapshotAttrLabel(ep, id, multiEp, target.cluster);
 
-                    try {
-                        const result = await readOneAttr(endpoint, id);
-                        if (result.ok) {
-                            snapData[hexKey] = {
-                                raw: result.value,
-                                formatted: formatValue(result.value, rawHex),
-                            };
-                            console.log(`[ATTR-TOOL] ✓ ${label} = ${formatValue(result.value, rawHex)}`);
-                            found++;
+                        try {
+                            const result = await readOneAttr(endpoints[index], id, target, pacer);
+                            if (result.ok) {
+                                snapData[ep][hexKey] = {
+                                    raw: result.value,
+                                    formatted: formatAttrValue(target.cluster, id, result.value, rawHex),
+                                };
+                                console.log(`[ATTR-TOOL] ✓ ${label} = ${snapData[ep][hexKey].formatted}`);
+                                found++;
+                            }
+                        } catch (error) {
+                            // Errored attributes are left out of the snapshot
+                            countFailure(failures, error);
                         }
-                    } catch {
-                        // Skip errored attributes
-                    }
 
-                    await new Promise((resolve) => setTimeout(resolve, 50));
+                        await pacerWait(pacer);
+                    }
                 }
 
-                const summary = `EP${epNum} snapshot: ${found}/${count} attributes captured from ${attrHexStr(startId)}-${attrHexStr(endId)}`;
-                const detail = Object.entries(snapData)
-                    .map(([k, v]) => `  ${attrLabel(Number.parseInt(k, 16))} = ${v.formatted}`)
-                    .join('\n');
+                const snapshot = {
+                    cluster: clusterName(target.cluster),
+                    manufacturerCode: target.manufacturerCode ?? null,
+                    spec,
+                    timestamp: timestamp(),
+                    model: device.modelID,
+                    endpoints: snapData,
+                };
+                const saved = saveSnapshotNote(device, snapName, snapshot);
+
+                const summary = `${targetLabel(target)} snapshot: ${found}/${count} attributes captured from ${spec} (${formatFailureCounts(failures)})${saved.note}`;
+                const detail = snapshotDetail(snapshot);
 
                 console.log(`[ATTR-TOOL] ${summary}`);
 
@@ -961,10 +4977,8 @@ const definition = {
                     state: {
                         snapshot: value,
                         snapshot_result: `${summary}\n\n${detail}`,
-                        snapshot_data: snapData,
-                        snapshot_start: startId,
-                        snapshot_end: endId,
-                        snapshot_ep: epNum,
+                        ...snapshotToState(snapshot, saved.name),
+                        snapshot_target: target,
                     },
                 };
             },
@@ -1054,8 +5068,490 @@ const definition = {
                     output = formatClusters(ep);
                 }
 
-                console.log(`[ATTR-TOOL] Cluster discovery:\n${output}`);
-                return {state: {discover_clusters: value, cluster_list: output}};
+                console.log(`[ATTR-TOOL] Cluster discovery:\n${output}`);
+                return {state: {discover_clusters: value, cluster_list: output}};
+            },
+        },
+
+        // =================================================================
+        // ATTRIBUTE DISCOVERY — ZCL Discover Attributes on the target cluster
+        //
+        // Values:
+        //   "auto"      - try Discover Attributes Extended, fall back to basic
+        //   "extended"  - Discover Attributes Extended only (type + access)
+        //   "basic"     - Discover Attributes only (type)
+        // =================================================================
+        {
+            key: ['discover_attributes'],
+            convertSet: async (entity, key, value, meta) => {
+                const mode = value.toString().trim().toLowerCase() || 'auto';
+                if (!['auto', 'extended', 'basic'].includes(mode)) {
+                    throw new Error('Value: "auto", "extended" or "basic"');
+                }
+
+                const epNum = (meta.state && meta.state.endpoint) || 1;
+                const endpoint = getEndpoint(entity, epNum);
+                const target = getTarget(meta);
+                const where = `EP${epNum} ${targetLabel(target)}`;
+
+                console.log(`[ATTR-TOOL] Discovering attributes on ${where} (${mode})...`);
+
+                let attributes;
+                let extended = mode !== 'basic';
+                try {
+                    attributes = await discoverAttributes(endpoint, target, extended);
+                } catch (error) {
+                    if (mode !== 'auto') {
+                        const errorMsg = `✗ ${where} discovery failed: ${error.message}`;
+                        console.error(`[ATTR-TOOL] ${errorMsg}`);
+                        return {state: {discover_attributes: value, attribute_list: errorMsg}};
+                    }
+                    console.log(`[ATTR-TOOL] Extended discovery failed (${error.message}), falling back to basic`);
+                    extended = false;
+                    try {
+                        attributes = await discoverAttributes(endpoint, target, false);
+                    } catch (fallbackError) {
+                        const errorMsg = `✗ ${where} discovery failed: ${fallbackError.message}`;
+                        console.error(`[ATTR-TOOL] ${errorMsg}`);
+                        return {state: {discover_attributes: value, attribute_list: errorMsg}};
+                    }
+                }
+
+                for (const info of attributes) {
+                    const facts = {type: info.dataType, manufacturerCode: target.manufacturerCode};
+                    if (extended) {
+                        Object.assign(facts, {
+                            readable: (info.access & 0x01) !== 0,
+                            writable: (info.access & 0x02) !== 0,
+                            reportable: (info.access & 0x04) !== 0,
+                        });
+                    }
+                    observeAttr(endpoint.deviceIeeeAddress, epNum, target.cluster, info.attrId, facts);
+                }
+
+                const lines = attributes
+                    .sort((a, b) => a.attrId - b.attrId)
+                    .map((info) => {
+                        const access = extended ? ` [${accessFlags(info.access)}]` : '';
+                        return `${attrLabel(info.attrId, target.cluster)}: ${dataTypeName(info.dataType)}${access}`;
+                    });
+
+                const method = extended ? 'Discover Attributes Extended' : 'Discover Attributes';
+                const summary = `${where}: ${attributes.length} attributes (${method})`;
+                console.log(`[ATTR-TOOL] ${summary}`);
+
+                return {
+                    state: {
+                        discover_attributes: value,
+                        attribute_list: lines.length > 0 ? `${summary}\n\n${lines.join('\n')}` : summary,
+                    },
+                };
+            },
+        },
+
+        // =================================================================
+        // COMMAND DISCOVERY — ZCL Discover Commands on the target cluster
+        //
+        // Values:
+        //   "all"   - discover commands on every endpoint
+        //   "1"     - discover commands on EP1 only
+        // =================================================================
+        {
+            key: ['discover_commands'],
+            convertSet: async (entity, key, value, meta) => {
+                const trimmed = value.toString().trim().toLowerCase();
+                const device = entity.getDevice ? entity.getDevice() : entity;
+
+                let epList;
+                if (trimmed === 'all') {
+                    const endpoints = device.endpoints || [];
+                    epList = typeof endpoints === 'object' && !Array.isArray(endpoints)
+                        ? Object.values(endpoints)
+                        : endpoints;
+                } else {
+                    const epNum = Number(trimmed);
+                    if (!Number.isInteger(epNum) || epNum < 1) {
+                        throw new Error('Value: "all" or endpoint number (e.g. "1", "2")');
+                    }
+                    epList = [getEndpoint(device, epNum)];
+                }
+
+                if (epList.length === 0) {
+                    return {state: {discover_commands: value, command_list: 'No endpoints found on device'}};
+                }
+
+                const target = getTarget(meta);
+                console.log(`[ATTR-TOOL] Discovering ${targetLabel(target)} commands on ${epList.length} endpoint(s)...`);
+
+                const sections = [];
+                for (const ep of epList) {
+                    const lines = [`EP${ep.ID || '?'} ${targetLabel(target)}:`];
+                    for (const generated of [false, true]) {
+                        const direction = generated ? 'Generated' : 'Received';
+                        try {
+                            const ids = await discoverCommands(ep, target, generated);
+                            const labels = ids.sort((a, b) => a - b).map((id) => commandLabel(ep, target, id, generated));
+                            lines.push(`  ${direction} (${ids.length}): ${labels.length > 0 ? labels.join(', ') : 'none'}`);
+                        } catch (error) {
+                            lines.push(`  ${direction}: ✗ ${error.message}`);
+                        }
+                    }
+                    sections.push(lines.join('\n'));
+                }
+
+                const output = sections.join('\n\n');
+                console.log(`[ATTR-TOOL] Command discovery:\n${output}`);
+                return {state: {discover_commands: value, command_list: output}};
+            },
+        },
+
+        // =================================================================
+        // CONFIGURE REPORTING — ZCL Configure Reporting on the target cluster
+        //
+        // Format: "0515:min=1:max=300:change=1"
+        //    or:  "0515:min=1:max=300:change=1:type=uint16,0516:min=0:max=65535"
+        //
+        // Without type=, the attribute's KNOWN_ATTRIBUTES type is used, or it
+        // is read once to learn its data type.
+        // =================================================================
+        {
+            key: ['configure_reporting'],
+            convertSet: async (entity, key, value, meta) => {
+                const specs = value.toString().split(',').map((s) => s.trim()).filter(Boolean);
+                if (specs.length === 0) {
+                    throw new Error('Format: "0515:min=1:max=300:change=1"');
+                }
+                const configs = specs.map(parseReportingSpec);
+
+                const epNum = (meta.state && meta.state.endpoint) || 1;
+                const endpoint = getEndpoint(entity, epNum);
+                const target = getTarget(meta);
+                const where = `EP${epNum} ${targetLabel(target)}`;
+
+                console.log(`[ATTR-TOOL] Configuring reporting for ${configs.length} attribute(s) on ${where}...`);
+
+                // Result line per attribute, output in request order
+                const results = new Map();
+                const records = [];
+                for (const config of configs) {
+                    const label = attrLabel(config.attrId, target.cluster);
+                    let type = config.type;
+                    if (type === undefined) {
+                        const schema = attrSchema(config.attrId, target.cluster);
+                        type = schema && schema.type;
+                    }
+                    if (type === undefined) {
+                        try {
+                            type = await readAttrDataType(endpoint, target, config.attrId);
+                        } catch (error) {
+                            results.set(config.attrId, `✗ ${label}: data type unknown (${error.message}), add type=...`);
+                            continue;
+                        }
+                    }
+                    records.push({
+                        direction: Zcl.Direction.CLIENT_TO_SERVER,
+                        attrId: config.attrId,
+                        dataType: type,
+                        minRepIntval: config.min,
+                        maxRepIntval: config.max,
+                        repChange: config.change,
+                    });
+                }
+
+                if (records.length > 0) {
+                    try {
+                        const statuses = await sendGlobalCommand(endpoint, target, 'configReport', records);
+                        // A single SUCCESS record without attrId means every attribute succeeded
+                        for (const record of records) {
+                            const failure = statuses.find((s) => s.attrId === record.attrId && s.status !== Zcl.Status.SUCCESS);
+                            if (failure) {
+                                const status = Zcl.Status[failure.status] || `Status 0x${failure.status.toString(16).padStart(2, '0')}`;
+                                results.set(record.attrId, `✗ ${attrLabel(record.attrId, target.cluster)}: ${status}`);
+                            } else {
+                                results.set(record.attrId, `✓ ${attrLabel(record.attrId, target.cluster)}: ${formatReportingConfig(record)}`);
+                                observeAttr(endpoint.deviceIeeeAddress, epNum, target.cluster, record.attrId, {
+                                    type: record.dataType,
+                                    reportable: true,
+                                    reporting: {min: record.minRepIntval, max: record.maxRepIntval, change: record.repChange},
+                                    manufacturerCode: target.manufacturerCode,
+                                });
+                            }
+                        }
+                    } catch (error) {
+                        for (const record of records) {
+                            results.set(record.attrId, `✗ ${attrLabel(record.attrId, target.cluster)}: ${error.message}`);
+                        }
+                    }
+                }
+
+                const lines = configs.map((config) => results.get(config.attrId));
+                const ok = lines.filter((l) => l.startsWith('✓')).length;
+                const output = `${where}: ${ok}/${configs.length} configured\n\n${lines.join('\n')}`;
+                console.log(`[ATTR-TOOL] Configure reporting:\n${output}`);
+                return {state: {configure_reporting: value, reporting_result: output}};
+            },
+        },
+
+        // =================================================================
+        // READ REPORTING CONFIG — ZCL Read Reporting Configuration
+        //
+        // Format: "0515,0516,0517"
+        // =================================================================
+        {
+            key: ['read_reporting_config'],
+            convertSet: async (entity, key, value, meta) => {
+                const ids = value.toString().split(',').map((s) => s.trim()).filter(Boolean);
+                if (ids.length === 0) {
+                    throw new Error('Provide comma-separated hex IDs, e.g. "0515,0516"');
+                }
+                const attrIds = ids.map((idStr) => {
+                    const attrId = parseAttrHex(idStr);
+                    if (attrId === null) {
+                        throw new Error(`Invalid attribute: "${idStr}"`);
+                    }
+                    return attrId;
+                });
+
+                const epNum = (meta.state && meta.state.endpoint) || 1;
+                const endpoint = getEndpoint(entity, epNum);
+                const target = getTarget(meta);
+                const where = `EP${epNum} ${targetLabel(target)}`;
+
+                console.log(`[ATTR-TOOL] Reading reporting config for ${attrIds.length} attribute(s) on ${where}...`);
+
+                let output;
+                try {
+                    const payload = attrIds.map((attrId) => ({direction: Zcl.Direction.CLIENT_TO_SERVER, attrId}));
+                    const records = await sendGlobalCommand(endpoint, target, 'readReportConfig', payload);
+                    const lines = attrIds.map((attrId) => {
+                        const record = records.find((r) => r.attrId === attrId);
+                        if (!record) {
+                            return `✗ ${attrLabel(attrId, target.cluster)}: no record returned`;
+                        }
+                        if (record.status !== Zcl.Status.SUCCESS) {
+                            const status = Zcl.Status[record.status] || `Status 0x${record.status.toString(16).padStart(2, '0')}`;
+                            return `✗ ${attrLabel(attrId, target.cluster)}: ${status}`;
+                        }
+                        return `✓ ${attrLabel(attrId, target.cluster)}: ${formatReportingConfig(record)}`;
+                    });
+                    output = `${where}:\n\n${lines.join('\n')}`;
+                } catch (error) {
+                    output = `✗ ${where}: ${error.message}`;
+                }
+
+                console.log(`[ATTR-TOOL] Reporting config:\n${output}`);
+                return {state: {read_reporting_config: value, reporting_config: output}};
+            },
+        },
+
+        // =================================================================
+        // BIND / UNBIND — bind a cluster on the selected endpoint
+        //
+        // Format: "TARGET" (target cluster) or "CLUSTER:TARGET"
+        //   "coordinator"
+        //   "genOnOff:group:5"
+        //   "fcc0:0x00158d0001234567/1"
+        // =================================================================
+        {
+            key: ['bind', 'unbind'],
+            convertSet: async (entity, key, value, meta) => {
+                const spec = value.toString().trim();
+                const epNum = (meta.state && meta.state.endpoint) || 1;
+                const endpoint = getEndpoint(entity, epNum);
+                const device = endpoint.getDevice ? endpoint.getDevice() : entity;
+
+                // The cluster is optional: a leading name/ID followed by ':' that isn't part of "group:N"
+                let cluster = getTarget(meta).cluster;
+                let targetSpec = spec;
+                const colon = spec.indexOf(':');
+                if (colon > 0 && spec.slice(0, colon).toLowerCase() !== 'group') {
+                    cluster = parseClusterKey(spec.slice(0, colon));
+                    if (cluster === null) {
+                        throw new Error(`Invalid cluster: "${spec.slice(0, colon)}"`);
+                    }
+                    targetSpec = spec.slice(colon + 1);
+                }
+
+                const {target, label} = resolveBindTarget(device, targetSpec);
+                const action = key === 'bind' ? 'Bind' : 'Unbind';
+                const desc = `EP${epNum} ${clusterName(cluster)} → ${label}`;
+
+                console.log(`[ATTR-TOOL] ${action} ${desc}...`);
+
+                let resultMsg;
+                try {
+                    if (key === 'bind') {
+                        await endpoint.bind(cluster, target);
+                    } else {
+                        // force: send the request even if herdsman has no record of the binding
+                        await endpoint.unbind(cluster, target, true);
+                    }
+                    resultMsg = `✓ ${action} ${desc}`;
+                } catch (error) {
+                    resultMsg = `✗ ${action} ${desc}: ${error.message}`;
+                }
+
+                console.log(`[ATTR-TOOL] ${resultMsg}`);
+                return {state: {[key]: value, bind_result: resultMsg}};
+            },
+        },
+
+        // =================================================================
+        // READ BINDINGS — device binding table via ZDO Mgmt_Bind_req
+        // =================================================================
+        {
+            key: ['read_bindings'],
+            convertSet: async (entity, key, value, meta) => {
+                const device = entity.getDevice ? entity.getDevice() : entity;
+                if (!device.bindingTable) {
+                    throw new Error('Binding table requires access to the device object');
+                }
+
+                console.log('[ATTR-TOOL] Reading binding table (Mgmt_Bind_req)...');
+
+                let output;
+                try {
+                    const table = await device.bindingTable();
+                    const Device = device.constructor;
+                    const coordinator = Device.byType ? Device.byType('Coordinator')[0] : undefined;
+                    const coordinatorIeee = coordinator ? coordinator.ieeeAddr : undefined;
+
+                    const lines = table
+                        .sort((a, b) => a.sourceEndpoint - b.sourceEndpoint || a.clusterId - b.clusterId)
+                        .map((entry) => `EP${entry.sourceEndpoint} ${clusterIdLabel(entry.clusterId, device)} → ${bindingDestLabel(entry, coordinatorIeee)}`);
+                    const summary = `${table.length} binding${table.length === 1 ? '' : 's'}`;
+                    output = lines.length > 0 ? `${summary}\n\n${lines.join('\n')}` : summary;
+                } catch (error) {
+                    output = `✗ Binding table read failed: ${error.message}`;
+                }
+
+                console.log(`[ATTR-TOOL] Bindings:\n${output}`);
+                return {state: {binding_table: output}};
+            },
+        },
+
+        // =================================================================
+        // GENERATE CONVERTER — modernExtend definition snippet for the
+        // target cluster
+        //
+        // Values:
+        //   "all"         - named KNOWN_ATTRIBUTES plus everything observed
+        //   "0515-0520"   - only these attributes (list/ranges)
+        // =================================================================
+        {
+            key: ['generate_converter'],
+            convertSet: async (entity, key, value, meta) => {
+                const trimmed = value.toString().trim();
+                const ids = !trimmed || trimmed.toLowerCase() === 'all' ? null : parseAttrList(trimmed);
+                const device = entity.getDevice ? entity.getDevice() : entity;
+                const target = getTarget(meta);
+                const epNum = (meta.state && meta.state.endpoint) || 1;
+
+                const {code, count} = generateConverter(device, target, ids, epNum);
+                console.log(`[ATTR-TOOL] Generated converter for ${count} attribute(s) on ${targetLabel(target)}:\n${code}`);
+                return {state: {generate_converter: value, converter_snippet: code}};
+            },
+        },
+
+        // =================================================================
+        // LABEL ATTRIBUTE — runtime names and notes, stored per model in
+        // LABEL_STORE_FILE and merged over KNOWN_ATTRIBUTES
+        //
+        // Values:
+        //   "0517:Power on behavior:notes=0 on,1 previous"
+        //   "0517:Power on behavior"   - name only (notes removed)
+        //   "0517:notes=0 on,1 previous" - notes only (name kept)
+        //   "0517:"                    - remove the label
+        //   "list"
+        // =================================================================
+        {
+            key: ['label_attribute'],
+            convertSet: async (entity, key, value, meta) => {
+                const input = value.toString().trim();
+                if (input.toLowerCase() !== 'list') {
+                    // Labels are keyed by attribute ID and, like KNOWN_ATTRIBUTES, describe TARGET_CLUSTER
+                    const device = entity.getDevice ? entity.getDevice() : entity;
+                    if (!clusterMatches(getTarget(meta).cluster, TARGET_CLUSTER, device)) {
+                        throw new Error(`Labels apply to ${clusterName(TARGET_CLUSTER)} only. Set "cluster" back to it to label attributes.`);
+                    }
+                    const colon = input.indexOf(':');
+                    const attrId = colon > 0 ? parseAttrHex(input.slice(0, colon).trim()) : null;
+                    if (attrId === null) {
+                        throw new Error('Values: "ATTR:NAME[:notes=TEXT]", "ATTR:notes=TEXT", "ATTR:" (remove), "list"');
+                    }
+                    const attrKey = attrId.toString(16).toLowerCase().padStart(4, '0');
+                    const rest = input.slice(colon + 1);
+                    const notesAt = rest.search(/(^|:)\s*notes\s*=/i);
+                    const name = (notesAt === -1 ? rest : rest.slice(0, notesAt)).trim();
+                    const notes = notesAt === -1 ? '' : rest.slice(rest.indexOf('=', notesAt) + 1).trim();
+                    const previous = attributeLabels()[attrKey];
+
+                    if (!name && !notes) {
+                        saveAttributeLabel(attrKey, null);
+                        console.log(`[ATTR-TOOL] Label removed: ${attrHexStr(attrId)}`);
+                    } else {
+                        const label = {name: name || (previous && previous.name) || undefined, notes: notes || undefined};
+                        label.updated = new Date().toISOString();
+                        saveAttributeLabel(attrKey, label);
+                        console.log(`[ATTR-TOOL] Label set: ${attrLabel(attrId)}${notes ? ` — ${notes}` : ''}`);
+                    }
+                    refreshSelectAttributeValues();
+                }
+
+                const labels = attributeLabels();
+                const keys = Object.keys(labels).sort();
+                const store = LABEL_STORE_FILE ? LABEL_STORE_FILE : 'memory only';
+                const lines = [`${keys.length} label(s) for ${TARGET_ZIGBEE_MODEL} (${store})`];
+                for (const attrKey of keys) {
+                    const {name, notes} = labels[attrKey];
+                    lines.push(`${attrKey} ${name || '(no name)'}${notes ? ` — ${notes}` : ''}`);
+                }
+                return {state: {label_attribute: value, label_list: lines.join('\n')}};
+            },
+        },
+
+        // =================================================================
+        // EVENT TIMELINE — writes, reads and reports in one list
+        //
+        // Values:
+        //   "show"                               - every recorded event
+        //   "show:attr=0517:type=write,report"   - filtered (also last=N)
+        //   "export" / "export:attr=dp2"         - JSON in timeline_export
+        //   "clear"
+        // =================================================================
+        {
+            key: ['timeline'],
+            convertSet: async (entity, key, value, meta) => {
+                const [command, ...options] = value.toString().trim().split(':').map((p) => p.trim());
+                const device = entity.getDevice ? entity.getDevice() : entity;
+                const action = command.toLowerCase() || 'show';
+
+                if (action === 'clear') {
+                    timelines.delete(device.ieeeAddr);
+                    console.log('[ATTR-TOOL] Timeline cleared');
+                    return {state: {timeline: value, timeline_log: 'Timeline cleared', timeline_export: undefined}};
+                }
+                if (action !== 'show' && action !== 'export') {
+                    throw new Error('Values: "show[:attr=IDS][:type=TYPES][:last=N]", "export[:FILTERS]", "clear"');
+                }
+
+                const filter = parseEventFilter(options, TIMELINE_FILTER_OPTIONS);
+                const events = filterTimeline(device.ieeeAddr, filter);
+                const filtered = filter.attrs || filter.types || filter.last ? ` (filtered: ${options.join(':')})` : '';
+                const header = `${events.length} events${filtered}`;
+
+                if (action === 'export') {
+                    const json = JSON.stringify({
+                        device: device.ieeeAddr,
+                        exported: new Date().toISOString(),
+                        events: events.map((event) => ({...event, time: new Date(event.time).toISOString()})),
+                    });
+                    console.log(`[ATTR-TOOL] Timeline exported: ${header}, ${json.length} bytes`);
+                    return {state: {timeline: value, timeline_log: `Exported ${header} (copy the timeline_export field)`, timeline_export: json}};
+                }
+
+                const log = events.length > 0 ? events.map(formatTimelineEvent).join('\n') : 'No events recorded yet';
+                return {state: {timeline: value, timeline_log: `${header}\n\n${log}`}};
             },
         },
 
@@ -1076,10 +5572,104 @@ const definition = {
         {
             key: ['clear_report_log'],
             convertSet: async (entity, key, value, meta) => {
+                const device = entity.getDevice ? entity.getDevice() : entity;
+                rememberReportLog(device.ieeeAddr, [], (meta.state && meta.state.report_filter) || '');
                 console.log('[ATTR-TOOL] Report log cleared');
                 return {state: {report_log: [], last_report: '', report_log_display: 'Log cleared'}};
             },
         },
+
+        // =================================================================
+        // LISTENER SETTINGS — what the report listener captures
+        //
+        // listen_clusters: "target" (follows "cluster"), "all", or a list
+        //                  such as "genOnOff,manuSpecificLumi,0xFC7F"
+        // listen_types:    any of "reports,reads,commands"
+        // =================================================================
+        {
+            key: ['listen_clusters'],
+            convertSet: async (entity, key, value, meta) => {
+                const clusters = parseListenClusters(value);
+                const missing = unregisteredClusters(clusters, meta.device);
+                if (missing.length > 0) {
+                    throw new Error(`Not registered: ${missing.map(clusterName).join(', ')}. ` +
+                        'The listener only hears clusters registered at startup; add them to LISTEN_CLUSTERS and restart Z2M');
+                }
+                const stored = listenClustersLabel(clusters).replace(/, /g, ',');
+                console.log(`[ATTR-TOOL] Listening on: ${listenClustersLabel(clusters)}`);
+                return {state: {listen_clusters: stored}};
+            },
+        },
+        {
+            key: ['listen_types'],
+            convertSet: async (entity, key, value, meta) => {
+                const types = parseListenTypes(value);
+                console.log(`[ATTR-TOOL] Listening for: ${types.join(', ') || 'nothing'}`);
+                return {state: {listen_types: types.join(',')}};
+            },
+        },
+
+        // =================================================================
+        // REPORT FILTER — limit report_log_display by attribute or value
+        //
+        // Format: "attr=0515,dp2", "value=on", "attr=0515:value=1:last=10";
+        //         "" or "none" shows the whole log
+        // =================================================================
+        {
+            key: ['report_filter'],
+            convertSet: async (entity, key, value, meta) => {
+                const trimmed = value.toString().trim();
+                const filterSpec = trimmed.toLowerCase() === 'none' ? '' : trimmed;
+                const log = (meta.state && meta.state.report_log) || [];
+                // Parses the filter, so a bad one is rejected before it's stored
+                const display = reportLogDisplay(log, filterSpec);
+                const device = entity.getDevice ? entity.getDevice() : entity;
+                rememberReportLog(device.ieeeAddr, log, filterSpec);
+                console.log(`[ATTR-TOOL] Report filter: ${filterSpec || 'none'}`);
+                return {state: {report_filter: filterSpec, report_log_display: display}};
+            },
+        },
+
+        // =================================================================
+        // REPORT STATS — per-attribute statistics of received reports
+        //
+        // Values:
+        //   "all" or ""     - every attribute reported so far
+        //   "0515,dp2"      - only these (kept, report_stats follows new reports)
+        //   "clear"         - forget the statistics
+        // =================================================================
+        {
+            key: ['report_stats_query'],
+            convertSet: async (entity, key, value, meta) => {
+                const trimmed = value.toString().trim();
+                const device = entity.getDevice ? entity.getDevice() : entity;
+
+                if (trimmed.toLowerCase() === 'clear') {
+                    reportStats.delete(device.ieeeAddr);
+                    console.log('[ATTR-TOOL] Report statistics cleared');
+                    return {state: {report_stats_query: '', report_stats: 'Statistics cleared'}};
+                }
+
+                const query = trimmed.toLowerCase() === 'all' ? '' : trimmed;
+                return {state: {report_stats_query: query, report_stats: reportStatsText(device.ieeeAddr, query)}};
+            },
+        },
+
+        // =================================================================
+        // CLEAR QUEUE — drop pending requests and the completed list
+        // =================================================================
+        {
+            key: ['clear_queue'],
+            convertSet: async (entity, key, value, meta) => {
+                const device = entity.getDevice ? entity.getDevice() : entity;
+                const queue = getDeferredQueue(device.ieeeAddr);
+                console.log(`[ATTR-TOOL] Queue cleared (${queue.pending.length} pending dropped)`);
+                queue.pending = [];
+                queue.completed = [];
+                saveDeferredQueue(device.ieeeAddr, queue);
+                return {state: {queue_status: queueStatusText(queue)}};
+            },
+        },
     ],
 
     exposes: [
@@ -1099,6 +5689,22 @@ const definition = {
                 {name: 'EP 2', value: 2, description: 'Second endpoint'},
             ],
         },
+        {
+            type: 'text',
+            name: 'cluster',
+            property: 'cluster',
+            access: 7,
+            description: `Target cluster name or hex ID (default ${TARGET_CLUSTER})`,
+            category: 'config',
+        },
+        {
+            type: 'text',
+            name: 'manufacturer_code',
+            property: 'manufacturer_code',
+            access: 7,
+            description: `Manufacturer code in hex, or "none" (default ${manufacturerCodeLabel(manufacturerCode)})`,
+            category: 'config',
+        },
         {
             type: 'binary',
             name: 'raw_hex',
@@ -1109,13 +5715,56 @@ const definition = {
             description: 'Show values as raw hex only (OFF = friendly format with decimal + hex + bytes)',
             category: 'config',
         },
+        {
+            type: 'numeric',
+            name: 'read_timeout',
+            property: 'read_timeout',
+            access: 7,
+            value_min: READ_TIMEOUT_MIN_MS,
+            value_max: READ_TIMEOUT_MAX_MS,
+            value_step: 100,
+            unit: 'ms',
+            description: `Timeout of each attribute read (default ${READ_TIMEOUT_MS})`,
+            category: 'config',
+        },
+        {
+            type: 'numeric',
+            name: 'read_retries',
+            property: 'read_retries',
+            access: 7,
+            value_min: 0,
+            value_max: READ_RETRIES_MAX,
+            value_step: 1,
+            description: `Retries after a read times out (default ${READ_RETRIES})`,
+            category: 'config',
+        },
+        {
+            type: 'binary',
+            name: 'dry_run',
+            property: 'dry_run',
+            access: 7,
+            value_on: true,
+            value_off: false,
+            description: 'Parse writes and raw commands and show the ZCL frame, without sending anything',
+            category: 'config',
+        },
+        {
+            type: 'binary',
+            name: 'queue_mode',
+            property: 'queue_mode',
+            access: 7,
+            value_on: true,
+            value_off: false,
+            description: 'Sleepy devices: hold reads, writes and scans until the device sends a message',
+            category: 'config',
+        },
         // --- Read ---
         {
             type: 'enum',
             name: 'select_attribute',
             property: 'select_attribute',
             access: 2,
-            values: Object.keys(KNOWN_ATTRIBUTES).sort(),
+            values: selectAttributeValues,
             description: 'Select a known attribute to read',
         },
         {
@@ -1160,7 +5809,7 @@ const definition = {
             name: 'write_attribute',
             property: 'write_attribute',
             access: 2,
-            description: 'Write: "ATTR:VALUE" or "ATTR:TYPE:VALUE" (types: uint8/uint16/uint32/int8/int16/int32/buf/str)',
+            description: 'Write: "ATTR:VALUE", "ATTR:TYPE:VALUE" or "ATTR:LABEL" (types: uint8/uint16/uint32/int8/int16/int32/map8/enum8/buf/str, labels from KNOWN_ATTRIBUTES)',
         },
         {
             type: 'text',
@@ -1184,6 +5833,73 @@ const definition = {
             access: 1,
             description: 'Bulk write results',
         },
+        // --- Undo ---
+        {
+            type: 'text',
+            name: 'undo',
+            property: 'undo',
+            access: 2,
+            description: 'Write back pre-write values: "undo_last_write", "undo:N" (history entry #N), "restore_all_since:2025-01-15 14:30:00"',
+        },
+        {
+            type: 'text',
+            name: 'undo_result',
+            property: 'undo_result',
+            access: 1,
+            description: 'Result of the last undo',
+        },
+        // --- Value Sweep ---
+        {
+            type: 'text',
+            name: 'sweep',
+            property: 'sweep',
+            access: 2,
+            description: 'Write each value in a range and record effects: "0517:uint8:00-0a:delay=2000:watch=0515,0516"',
+        },
+        {
+            type: 'text',
+            name: 'sweep_result',
+            property: 'sweep_result',
+            access: 1,
+            description: 'Sweep results: value → write result, read-back, reports and watched changes',
+        },
+        // --- Raw Command ---
+        {
+            type: 'text',
+            name: 'send_command',
+            property: 'send_command',
+            access: 2,
+            description: 'Send cluster command: "CLUSTER:CMD:DIR:PAYLOAD" or "CLUSTER:CMD:DIR:MFR:PAYLOAD" (DIR = c2s/s2c)',
+        },
+        {
+            type: 'text',
+            name: 'command_result',
+            property: 'command_result',
+            access: 1,
+            description: 'Command result (default response or command response)',
+        },
+        // --- Tuya Datapoints ---
+        {
+            type: 'text',
+            name: 'tuya_dp_write',
+            property: 'tuya_dp_write',
+            access: 2,
+            description: 'Write Tuya DP: "DP:TYPE:VALUE" (types: raw/bool/value/string/enum/bitmap, e.g. "2:value:300")',
+        },
+        {
+            type: 'text',
+            name: 'tuya_query',
+            property: 'tuya_query',
+            access: 2,
+            description: 'Send any value to ask the Tuya MCU for a full DP state dump',
+        },
+        {
+            type: 'text',
+            name: 'tuya_result',
+            property: 'tuya_result',
+            access: 1,
+            description: 'Result of the last Tuya DP write or query',
+        },
         // --- Scan ---
         {
             type: 'text',
@@ -1199,13 +5915,58 @@ const definition = {
             access: 1,
             description: 'Scan results',
         },
+        // --- Scan Job ---
+        {
+            type: 'text',
+            name: 'scan_job',
+            property: 'scan_job',
+            access: 2,
+            description: 'Background scan: "start:0000-ffff" (or "start:ep1:0000-ffff;ep2:0500-0520"), "pause", "resume", "cancel", "status"',
+        },
+        {
+            type: 'text',
+            name: 'scan_progress',
+            property: 'scan_progress',
+            access: 1,
+            description: 'Scan job progress: percentage, hits, ETA',
+        },
+        {
+            type: 'text',
+            name: 'scan_job_result',
+            property: 'scan_job_result',
+            access: 1,
+            description: 'Scan job hits, sorted',
+        },
+        // --- Auto-scan ---
+        {
+            type: 'text',
+            name: 'auto_scan_result',
+            property: 'auto_scan_result',
+            access: 1,
+            description: 'Last auto-scan (AUTO_SCAN_ATTRIBUTES) with the changes since the previous run',
+        },
+        // --- Watch ---
+        {
+            type: 'text',
+            name: 'watch',
+            property: 'watch',
+            access: 2,
+            description: 'Poll attributes and log changes: "0515,0516:every=5s", "list", "stop", "stop:2"',
+        },
+        {
+            type: 'text',
+            name: 'watch_status',
+            property: 'watch_status',
+            access: 1,
+            description: 'Running watches with their current values',
+        },
         // --- Snapshot/Compare ---
         {
             type: 'text',
             name: 'snapshot',
             property: 'snapshot',
             access: 2,
-            description: 'Snapshot: "snapshot:0515-0530", "compare", "export", "import:{json}", "clear"',
+            description: 'Snapshot: "snapshot:0515-0530", "snapshot:ep1:0000-007f,00f7;ep2:0500-0520", "snapshot:NAME:SPEC", "compare", "diff:A:B", "diff:BASE:A:B", "export", "import:{json}", "clear", "snapshot:list", "snapshot:load:NAME", "snapshot:delete:NAME"',
         },
         {
             type: 'text',
@@ -1236,6 +5997,101 @@ const definition = {
             access: 1,
             description: 'Discovered clusters',
         },
+        // --- Command Discovery ---
+        {
+            type: 'text',
+            name: 'discover_commands',
+            property: 'discover_commands',
+            access: 2,
+            description: 'Discover commands received/generated on the target cluster: "all" or endpoint number (e.g. "1")',
+        },
+        {
+            type: 'text',
+            name: 'command_list',
+            property: 'command_list',
+            access: 1,
+            description: 'Discovered command IDs per endpoint',
+        },
+        // --- Attribute Discovery ---
+        {
+            type: 'text',
+            name: 'discover_attributes',
+            property: 'discover_attributes',
+            access: 2,
+            description: 'Discover attributes on the target cluster: "auto", "extended" or "basic"',
+        },
+        {
+            type: 'text',
+            name: 'attribute_list',
+            property: 'attribute_list',
+            access: 1,
+            description: 'Discovered attributes (ID, data type, access flags)',
+        },
+        // --- Reporting Configuration ---
+        {
+            type: 'text',
+            name: 'configure_reporting',
+            property: 'configure_reporting',
+            access: 2,
+            description: 'Configure reporting: "0515:min=1:max=300:change=1" (seconds; max=65535 disables; optional :type=uint16; comma-separated for several)',
+        },
+        {
+            type: 'text',
+            name: 'reporting_result',
+            property: 'reporting_result',
+            access: 1,
+            description: 'Configure reporting results',
+        },
+        {
+            type: 'text',
+            name: 'read_reporting_config',
+            property: 'read_reporting_config',
+            access: 2,
+            description: 'Read reporting config for comma-separated attrs: "0515,0516"',
+        },
+        {
+            type: 'text',
+            name: 'reporting_config',
+            property: 'reporting_config',
+            access: 1,
+            description: 'Current min/max/change per attribute',
+        },
+        // --- Bindings ---
+        {
+            type: 'text',
+            name: 'bind',
+            property: 'bind',
+            access: 2,
+            description: 'Bind cluster on selected EP: "coordinator", "genOnOff:group:5" or "fcc0:0x00158d0001234567/1" (no cluster = target cluster)',
+        },
+        {
+            type: 'text',
+            name: 'unbind',
+            property: 'unbind',
+            access: 2,
+            description: 'Unbind cluster on selected EP (same format as bind)',
+        },
+        {
+            type: 'text',
+            name: 'bind_result',
+            property: 'bind_result',
+            access: 1,
+            description: 'Bind/unbind result',
+        },
+        {
+            type: 'text',
+            name: 'read_bindings',
+            property: 'read_bindings',
+            access: 2,
+            description: 'Read the device binding table (send any value)',
+        },
+        {
+            type: 'text',
+            name: 'binding_table',
+            property: 'binding_table',
+            access: 1,
+            description: 'Binding table entries with cluster names',
+        },
         // --- Report Listener ---
         {
             type: 'text',
@@ -1258,6 +6114,108 @@ const definition = {
             access: 2,
             description: 'Send any value to clear the report log',
         },
+        {
+            type: 'text',
+            name: 'listen_clusters',
+            property: 'listen_clusters',
+            access: 7,
+            description: 'Clusters the listener captures: "target" (the selected cluster), "all" (every registered cluster), or a list like "genOnOff,manuSpecificLumi". Custom clusters must be in LISTEN_CLUSTERS',
+        },
+        {
+            type: 'text',
+            name: 'listen_types',
+            property: 'listen_types',
+            access: 7,
+            description: 'Messages the listener captures: any of "reports,reads,commands"',
+        },
+        {
+            type: 'text',
+            name: 'report_filter',
+            property: 'report_filter',
+            access: 7,
+            description: 'Limit the report log display: "attr=0515,dp2", "value=TEXT", "last=N" (combine with ":"), "none" to show all',
+        },
+        {
+            type: 'text',
+            name: 'report_stats',
+            property: 'report_stats',
+            access: 1,
+            description: 'Per-attribute report statistics: count, first/last seen, interval, min/max, distinct values, last change',
+        },
+        {
+            type: 'text',
+            name: 'report_stats_query',
+            property: 'report_stats_query',
+            access: 7,
+            description: 'Attributes shown in report_stats: "all", "0515,dp2" or "clear" to reset the statistics',
+        },
+        // --- Converter Generator ---
+        {
+            type: 'text',
+            name: 'generate_converter',
+            property: 'generate_converter',
+            access: 2,
+            description: 'Generate a modernExtend definition: "all" or an attribute list like "0515-0520,0600"',
+        },
+        {
+            type: 'text',
+            name: 'converter_snippet',
+            property: 'converter_snippet',
+            access: 1,
+            description: 'Generated zigbee-herdsman-converters definition, ready to paste',
+        },
+        // --- Labels ---
+        {
+            type: 'text',
+            name: 'label_attribute',
+            property: 'label_attribute',
+            access: 2,
+            description: 'Name an attribute: "0517:Power on behavior:notes=0 on,1 previous", "0517:" removes, "list"',
+        },
+        {
+            type: 'text',
+            name: 'label_list',
+            property: 'label_list',
+            access: 1,
+            description: 'Runtime attribute labels for this model (merged over KNOWN_ATTRIBUTES)',
+        },
+        // --- Event Timeline ---
+        {
+            type: 'text',
+            name: 'timeline',
+            property: 'timeline',
+            access: 2,
+            description: 'Timeline: "show", "show:attr=0517:type=write,report", "show:last=20", "export[:FILTERS]", "clear"',
+        },
+        {
+            type: 'text',
+            name: 'timeline_log',
+            property: 'timeline_log',
+            access: 1,
+            description: `Writes, reads and reports with millisecond times (last ${TIMELINE_MAX} per device)`,
+        },
+        {
+            type: 'text',
+            name: 'timeline_export',
+            property: 'timeline_export',
+            access: 1,
+            description: 'Timeline as JSON (from "export")',
+        },
+        // --- Deferred Queue ---
+        {
+            type: 'text',
+            name: 'queue_status',
+            property: 'queue_status',
+            access: 1,
+            description: 'Queued requests: pending and completed',
+        },
+        {
+            type: 'text',
+            name: 'clear_queue',
+            property: 'clear_queue',
+            access: 2,
+            description: 'Send any value to drop pending queued requests',
+        },
         // --- Write History ---
         {
             type: 'text',
@@ -1321,10 +6279,10 @@ if (DEVICE_DEFINITION.configure) {
 // onEvent: chain device onEvent before tool's auto-scan handler
 if (DEVICE_DEFINITION.onEvent) {
     const toolOnEvent = definition.onEvent;
-    definition.onEvent = async (type, data, device) => {
-        await DEVICE_DEFINITION.onEvent(type, data, device);
+    definition.onEvent = async (type, data, device, settings, state) => {
+        await DEVICE_DEFINITION.onEvent(type, data, device, settings, state);
         if (toolOnEvent) {
-            await toolOnEvent(type, data, device);
+            await toolOnEvent(type, data, device, settings, state);
         }
     };
 }